@@ -0,0 +1,76 @@
+/**
+ * SpectraView SDK - Compression helpers
+ *
+ * Gzip uses the native CompressionStream when the browser has it and pako
+ * otherwise. Both produce standard gzip, so the server sees the same bytes.
+ */
+
+import pako from 'pako';
+
+// String.fromCharCode.apply overflows the call stack on large arrays
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/**
+ * Check whether the native CompressionStream API is available
+ */
+export function hasNativeCompression() {
+  return typeof CompressionStream !== 'undefined' && typeof TextEncoder !== 'undefined';
+}
+
+/**
+ * Gzip a string synchronously with pako
+ */
+export function gzipSync(text) {
+  return pako.gzip(text);
+}
+
+/**
+ * Read a byte stream to the end into one array
+ */
+async function readAll(readable) {
+  const chunks = [];
+  let length = 0;
+  const reader = readable.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    chunks.push(result.value);
+    length += result.value.length;
+  }
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * Gzip a string, off the main thread when CompressionStream is available
+ */
+export async function gzip(text) {
+  if (!hasNativeCompression()) {
+    return gzipSync(text);
+  }
+
+  const stream = new CompressionStream('gzip');
+  const writer = stream.writable.getWriter();
+
+  // Write and read together, the stream won't take more input until it's read
+  const [, bytes] = await Promise.all([
+    writer.write(new TextEncoder().encode(text)).then(() => writer.close()),
+    readAll(stream.readable)
+  ]);
+  return bytes;
+}
+
+/**
+ * Encode bytes as base64 in chunks, safe for large full snapshots
+ */
+export function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK_SIZE));
+  }
+  return btoa(binary);
+}
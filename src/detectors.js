@@ -0,0 +1,143 @@
+/**
+ * SpectraView SDK - Locale PII detectors
+ *
+ * Identifier formats grouped in packs so each app only turns on the ones for
+ * the countries it serves (`redactionPacks: ['mx', 'e164']`). A detector is a
+ * redaction rule: { name, pattern, replacement, validate }. Identifiers with a
+ * check digit are validated so order numbers and other digit runs survive.
+ *
+ * Packs are shared by every client on the page; registerDetectorPack() adds
+ * or replaces one.
+ */
+
+/**
+ * Check a CLABE: 18 digits, the last one computed with weights 3, 7, 1
+ */
+export function isValidClabe(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length !== 18) return false;
+
+  const weights = [3, 7, 1];
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    sum += (Number(digits[i]) * weights[i % 3]) % 10;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[17]);
+}
+
+/**
+ * Check an IBAN with the ISO 13616 mod-97 checksum
+ */
+export function isValidIban(value) {
+  const compact = String(value).replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact)) return false;
+
+  // Country code and check digits go to the end, letters become 10..35
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = parseInt(char, 36);
+    remainder = (remainder * (code > 9 ? 100 : 10) + code) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Check a Salvadoran DUI: 8 digits and a check digit with weights 9..2
+ */
+export function isValidDui(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length !== 9) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 8; i++) {
+    sum += Number(digits[i]) * (9 - i);
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[8]);
+}
+
+/**
+ * Build a validator checking that the digits at `start` are a code in range
+ */
+function hasCodeAt(start, min, max) {
+  return (value) => {
+    const code = Number(String(value).replace(/\D/g, '').slice(start, start + 2));
+    return code >= min && code <= max;
+  };
+}
+
+// Mexican states as they appear in a CURP (NE: born abroad)
+const CURP_STATES = 'AS|B[CS]|C[CLMSH]|D[FG]|G[TR]|HG|JC|M[CNS]|N[ETL]|OC|PL|Q[TR]|S[PLR]|T[CSL]|VZ|YN|ZS|NE';
+const DATE = '\\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\\d|3[01])';
+
+const BUILT_IN_PACKS = {
+  // United States
+  us: [
+    { name: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g, replacement: '[SSN]' },
+    { name: 'phone', pattern: /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g, replacement: '[PHONE]' }
+  ],
+
+  // Mexico: CURP, RFC (people and companies) and CLABE bank accounts. RFCs can
+  // start with Ñ or &, which \b doesn't treat as word characters.
+  mx: [
+    { name: 'curp', pattern: new RegExp(`\\b[A-Z][AEIOUX][A-Z]{2}${DATE}[HMX](?:${CURP_STATES})[B-DF-HJ-NP-TV-Z]{3}[A-Z\\d]\\d\\b`, 'g'), replacement: '[CURP]' },
+    { name: 'rfc', pattern: new RegExp(`[A-ZÑ&]{3,4}${DATE}[A-Z\\d]{2}[A\\d]\\b`, 'g'), replacement: '[RFC]' },
+    { name: 'clabe', pattern: /\b\d{3}[\s-]?\d{3}[\s-]?\d{11}[\s-]?\d\b/g, replacement: '[CLABE]', validate: isValidClabe }
+  ],
+
+  // International bank accounts, e.g. "GB82 WEST 1234 5698 7654 32"
+  iban: [
+    { name: 'iban', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, replacement: '[IBAN]', validate: isValidIban }
+  ],
+
+  // International phone numbers, e.g. "+52 55 1234 5678"
+  e164: [
+    { name: 'e164', pattern: /\+[1-9](?:[\s.-]?\d){6,14}\b/g, replacement: '[PHONE]' }
+  ],
+
+  // Guatemala: DPI, the last four digits are department (01-22) and municipality
+  gt: [
+    { name: 'dpi', pattern: /\b\d{4}\s?\d{5}\s?\d{4}\b/g, replacement: '[DPI]', validate: hasCodeAt(9, 1, 22) }
+  ],
+
+  // El Salvador: DUI
+  sv: [
+    { name: 'dui', pattern: /\b\d{8}-?\d\b/g, replacement: '[DUI]', validate: isValidDui }
+  ],
+
+  // Honduras: DNI, starting with the department (01-18)
+  hn: [
+    { name: 'dni', pattern: /\b\d{4}-?\d{4}-?\d{5}\b/g, replacement: '[DNI]', validate: hasCodeAt(0, 1, 18) }
+  ],
+
+  // Nicaragua: cédula, municipality, date of birth, sequence and a letter
+  ni: [
+    { name: 'cedula', pattern: /\b\d{3}-?(?:0[1-9]|[12]\d|3[01])(?:0[1-9]|1[0-2])\d{2}-?\d{4}[A-Z]\b/g, replacement: '[CEDULA]' }
+  ],
+
+  // Costa Rica: cédula, only in its hyphenated form since nine digits alone are too common
+  cr: [
+    { name: 'cedula', pattern: /\b[1-9]-\d{4}-\d{4}\b/g, replacement: '[CEDULA]' }
+  ],
+
+  // Panama: cédula, province-volume-entry
+  pa: [
+    { name: 'cedula', pattern: /\b(?:(?:[1-9]|1[0-3])(?:AV|PI)?|E|N|PE)-\d{1,4}-\d{1,6}\b/g, replacement: '[CEDULA]' }
+  ]
+};
+
+const packs = new Map(Object.entries(BUILT_IN_PACKS));
+
+/**
+ * Add a detector pack, or replace one with the same name
+ */
+export function registerDetectorPack(name, detectors) {
+  packs.set(name, [...detectors]);
+}
+
+/**
+ * Get the detectors of a pack, or null when there is no such pack
+ */
+export function getDetectorPack(name) {
+  return packs.get(name) || null;
+}
@@ -0,0 +1,91 @@
+/**
+ * SpectraView SDK - Encryption at rest
+ *
+ * Wraps a localforage instance so every value is encrypted with AES-GCM
+ * before it reaches IndexedDB. The key is generated once per installation as
+ * a non-extractable CryptoKey: it can be stored and used, but its bytes can
+ * never be read back, not even by the SDK.
+ *
+ * Stored values: { encrypted: 1, iv, data } with a fresh 96-bit IV per write.
+ */
+
+const KEY_NAME = 'encryption_key';
+const IV_LENGTH = 12;
+
+/**
+ * Check whether WebCrypto is available (it requires a secure context)
+ */
+export function isEncryptionSupported() {
+  return typeof crypto !== 'undefined' &&
+    !!crypto.subtle &&
+    typeof crypto.getRandomValues === 'function' &&
+    typeof TextEncoder !== 'undefined' &&
+    typeof TextDecoder !== 'undefined';
+}
+
+/**
+ * Check whether a stored value is a usable AES-GCM key
+ */
+function isAesKey(value) {
+  return !!value && value.algorithm?.name === 'AES-GCM' && Array.isArray(value.usages);
+}
+
+/**
+ * Load the installation's key, generating it on first use. Returns null when
+ * the key can't be kept, e.g. when localforage fell back to a driver that
+ * serializes values to strings.
+ */
+export async function loadKey(keyStore) {
+  const stored = await keyStore.getItem(KEY_NAME);
+  if (isAesKey(stored)) return stored;
+
+  const key = await crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    false, // Non-extractable
+    ['encrypt', 'decrypt']
+  );
+  await keyStore.setItem(KEY_NAME, key);
+
+  return isAesKey(await keyStore.getItem(KEY_NAME)) ? key : null;
+}
+
+/**
+ * Wrap a storage so values are encrypted on write and decrypted on read.
+ * Values that can't be decrypted (other key, corrupted, written before
+ * encryption was turned on) are deleted and read as missing.
+ */
+export function createEncryptedStorage(storage, key, { onDiscard = () => {} } = {}) {
+  return {
+    async setItem(name, value) {
+      const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+      const data = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(value))
+      );
+      await storage.setItem(name, { encrypted: 1, iv, data });
+      return value;
+    },
+
+    async getItem(name) {
+      const record = await storage.getItem(name);
+      if (record === null || record === undefined) return null;
+
+      try {
+        if (!record.encrypted) {
+          throw new Error('Value is not encrypted');
+        }
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+        return JSON.parse(new TextDecoder().decode(plaintext));
+      } catch (error) {
+        onDiscard(name, error);
+        await storage.removeItem(name);
+        return null;
+      }
+    },
+
+    removeItem: name => storage.removeItem(name),
+    keys: () => storage.keys(),
+    clear: () => storage.clear()
+  };
+}
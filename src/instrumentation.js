@@ -0,0 +1,359 @@
+/**
+ * SpectraView SDK - Shared global instrumentation
+ *
+ * rrweb, history, fetch, XMLHttpRequest and console are page-wide hooks, so
+ * they are installed once no matter how many clients are active. Everything
+ * they capture is fanned out to the clients subscribed to that source, and the
+ * originals are restored when the last subscriber leaves.
+ */
+
+import * as rrweb from 'rrweb';
+
+// Requests for static assets are not worth tracking
+const ASSET_PATTERN = /\.(js|css|png|jpg|jpeg|gif|svg|woff|woff2|ttf|eot)$/i;
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+const subscribers = {
+  rrweb: new Set(),
+  navigation: new Set(),
+  network: new Set(),
+  console: new Set()
+};
+
+const installers = {
+  rrweb: installRRWeb,
+  navigation: installNavigation,
+  network: installNetwork,
+  console: installConsole
+};
+
+const uninstallers = {};
+
+// rrweb options merged across subscribers to whichever records less. Masked
+// inputs, blocked DOM or canvas frames can't be taken out of events afterwards.
+const ANY_OPTIONS = ['maskAllInputs']; // On when any subscriber turns it on
+const ALL_OPTIONS = ['recordCanvas', 'inlineStylesheet', 'collectFonts']; // On only when all of them do
+const MIN_OPTIONS = ['checkoutEveryNth', 'checkoutEveryNms']; // The most frequent checkout
+
+// rrweb's defaults, for subscribers that leave an option out
+const RRWEB_DEFAULTS = { inlineStylesheet: true };
+
+const rrwebOptions = new Map(); // Handler -> its recording options
+let rrwebRunning = null; // The merged options the running recording uses, as JSON
+
+/**
+ * Subscribe a handler to a capture source, installing the hook on first use.
+ * Returns the unsubscribe function.
+ */
+export function subscribe(source, handler, options = {}) {
+  const handlers = subscribers[source];
+  handlers.add(handler);
+  if (source === 'rrweb') {
+    rrwebOptions.set(handler, options);
+  }
+
+  const leave = () => {
+    handlers.delete(handler);
+    rrwebOptions.delete(handler);
+  };
+
+  if (handlers.size === 1) {
+    try {
+      uninstallers[source] = installers[source](options);
+    } catch (error) {
+      leave();
+      throw error;
+    }
+  } else if (source === 'rrweb' && JSON.stringify(mergeRecordingOptions()) !== rrwebRunning) {
+    // A subscriber that records less restarts the recording, which starts
+    // with a full snapshot
+    try {
+      restartRRWeb();
+    } catch (error) {
+      leave();
+      restartRRWeb();
+      throw error;
+    }
+  } else if (source === 'rrweb') {
+    // Late subscribers need a full snapshot to start a replayable stream
+    takeFullSnapshot();
+  }
+
+  return () => {
+    if (!handlers.has(handler)) return;
+    leave();
+
+    if (handlers.size === 0 && uninstallers[source]) {
+      uninstallers[source]();
+      delete uninstallers[source];
+    }
+  };
+}
+
+/**
+ * Ask the shared rrweb recording for a new checkout
+ */
+export function takeFullSnapshot() {
+  if (uninstallers.rrweb && typeof rrweb.record.takeFullSnapshot === 'function') {
+    rrweb.record.takeFullSnapshot(true);
+  }
+}
+
+/**
+ * Deliver captured data to every subscriber of a source
+ */
+function emit(source, ...args) {
+  subscribers[source].forEach(handler => {
+    try {
+      handler(...args);
+    } catch (error) {
+      // One client failing must not break the others
+    }
+  });
+}
+
+/**
+ * Replace target[name] with a wrapper, returning the restore function
+ */
+function patch(target, name, createWrapper) {
+  const original = target[name];
+  const wrapper = createWrapper(original);
+  target[name] = wrapper;
+
+  return () => {
+    // Someone else wrapped us: leave their patch alone, ours goes inert
+    if (target[name] === wrapper) {
+      target[name] = original;
+    }
+  };
+}
+
+/**
+ * Join selector lists, or null when there are none. '*' matches everything.
+ */
+function joinSelectors(lists) {
+  const selectors = new Set(lists.filter(Boolean));
+  if (selectors.has('*')) return '*';
+  return selectors.size > 0 ? [...selectors].join(', ') : null;
+}
+
+/**
+ * Merge two sampling values to the one recording less: off beats on, the
+ * longer throttle and only the last input value win
+ */
+function stricterSampling(key, a, b) {
+  if (a === undefined) return b;
+  if (b === undefined || a === b) return a;
+  if (a === false || b === false) return false;
+  if (typeof a === 'number' && typeof b === 'number') {
+    return key === 'canvas' ? Math.min(a, b) : Math.max(a, b); // Canvas is frames per second
+  }
+  if (a === 'last' || b === 'last') return 'last';
+  if (key === 'canvas') return typeof a === 'number' ? a : b; // A frame rate beats 'all'
+  return a;
+}
+
+/**
+ * Merge the options of every rrweb subscriber. The first subscriber's options
+ * are the base; privacy and volume options take the most restrictive value.
+ */
+function mergeRecordingOptions() {
+  const all = [...rrwebOptions.values()];
+  const merged = { ...all[0] };
+  const defined = name => all.map(options => options[name]).filter(value => value !== undefined);
+
+  ANY_OPTIONS.forEach(name => {
+    merged[name] = all.some(options => !!(options[name] ?? RRWEB_DEFAULTS[name]));
+  });
+  ALL_OPTIONS.forEach(name => {
+    merged[name] = all.every(options => !!(options[name] ?? RRWEB_DEFAULTS[name]));
+  });
+  MIN_OPTIONS.forEach(name => {
+    const values = defined(name);
+    merged[name] = values.length > 0 ? Math.min(...values) : undefined;
+  });
+
+  const maskInputOptions = defined('maskInputOptions');
+  if (maskInputOptions.length > 0) {
+    merged.maskInputOptions = {};
+    maskInputOptions.forEach(options => Object.keys(options).forEach(type => {
+      merged.maskInputOptions[type] = merged.maskInputOptions[type] || !!options[type];
+    }));
+  }
+
+  const samplings = defined('sampling');
+  if (samplings.length > 0) {
+    merged.sampling = {};
+    samplings.forEach(sampling => Object.keys(sampling).forEach(key => {
+      merged.sampling[key] = stricterSampling(key, merged.sampling[key], sampling[key]);
+    }));
+  }
+
+  // rrweb takes one ignoreClass; other subscribers' ignored inputs are blocked instead
+  const ignoreClasses = defined('ignoreClass').filter(name => name !== merged.ignoreClass);
+  merged.blockSelector = joinSelectors([
+    ...all.map(options => options.blockSelector),
+    ...ignoreClasses.map(name => `.${name}`)
+  ]);
+  merged.maskTextSelector = joinSelectors(all.map(options => options.maskTextSelector));
+
+  return merged;
+}
+
+/**
+ * Start the single rrweb recording shared by every client, with the options
+ * of every subscriber merged
+ */
+function installRRWeb() {
+  const options = mergeRecordingOptions();
+  rrwebRunning = JSON.stringify(options);
+  const stop = rrweb.record({
+    ...options,
+    emit: (event, isCheckout) => emit('rrweb', event, isCheckout)
+  });
+
+  return () => {
+    rrwebRunning = null;
+    if (stop) stop();
+  };
+}
+
+/**
+ * Restart the shared rrweb recording with the current subscribers' options
+ */
+function restartRRWeb() {
+  uninstallers.rrweb();
+  uninstallers.rrweb = installRRWeb();
+}
+
+/**
+ * Patch history.pushState / replaceState
+ */
+function installNavigation() {
+  const restores = ['pushState', 'replaceState'].map(method =>
+    patch(history, method, original => (...args) => {
+      emit('navigation', {
+        type: method,
+        url: args[2],
+        state: args[0]
+      });
+      return original.apply(history, args);
+    })
+  );
+
+  return () => restores.reverse().forEach(restore => restore());
+}
+
+/**
+ * Patch fetch and XMLHttpRequest
+ */
+function installNetwork() {
+  const restoreFetch = patch(window, 'fetch', originalFetch => async (...args) => {
+    const startTime = performance.now();
+    const [resource, config] = args;
+
+    try {
+      const response = await originalFetch(...args);
+      const duration = performance.now() - startTime;
+
+      // Only track API calls, not assets
+      if (typeof resource === 'string' && !resource.match(ASSET_PATTERN)) {
+        emit('network', {
+          type: 'fetch',
+          url: resource,
+          method: config?.method || 'GET',
+          status: response.status,
+          duration,
+          ok: response.ok
+        });
+      }
+
+      return response;
+    } catch (error) {
+      emit('network', {
+        type: 'fetch',
+        url: resource,
+        method: config?.method || 'GET',
+        error: error.message,
+        duration: performance.now() - startTime
+      });
+      throw error;
+    }
+  });
+
+  const restoreOpen = patch(XMLHttpRequest.prototype, 'open', originalOpen => function(...args) {
+    this._spectraview = {
+      method: args[0],
+      url: args[1],
+      startTime: null
+    };
+    return originalOpen.apply(this, args);
+  });
+
+  const restoreSend = patch(XMLHttpRequest.prototype, 'send', originalSend => function(...args) {
+    if (this._spectraview) {
+      this._spectraview.startTime = performance.now();
+
+      this.addEventListener('load', () => {
+        const duration = performance.now() - this._spectraview.startTime;
+
+        // Only track API calls
+        if (!String(this._spectraview.url).match(ASSET_PATTERN)) {
+          emit('network', {
+            type: 'xhr',
+            url: this._spectraview.url,
+            method: this._spectraview.method,
+            status: this.status,
+            duration
+          });
+        }
+      });
+
+      this.addEventListener('error', () => {
+        emit('network', {
+          type: 'xhr',
+          url: this._spectraview.url,
+          method: this._spectraview.method,
+          error: 'Network error',
+          duration: performance.now() - this._spectraview.startTime
+        });
+      });
+    }
+
+    return originalSend.apply(this, args);
+  });
+
+  return () => {
+    restoreSend();
+    restoreOpen();
+    restoreFetch();
+  };
+}
+
+/**
+ * Patch console methods
+ */
+function installConsole() {
+  const restores = CONSOLE_METHODS.map(method =>
+    patch(console, method, original => (...args) => {
+      // Don't track our own logs
+      if (!args[0]?.toString().includes('[SpectraView]')) {
+        emit('console', {
+          level: method,
+          message: args.map(arg => {
+            try {
+              return typeof arg === 'object' ? JSON.stringify(arg) : String(arg);
+            } catch {
+              return String(arg);
+            }
+          }).join(' ').substring(0, 1000) // Limit message length
+        });
+      }
+
+      return original.apply(console, args);
+    })
+  );
+
+  return () => restores.reverse().forEach(restore => restore());
+}
@@ -0,0 +1,220 @@
+/**
+ * SpectraView SDK - Live session streaming
+ *
+ * Streams events over WS /api/sessions/:sessionId/live so a session can be
+ * watched while it happens. HTTP batches stay the source of record; the live
+ * stream is best effort and only has to keep the viewer in sync.
+ *
+ * Protocol (JSON messages):
+ *   client → server  { type: 'hello', sessionId, resumeFrom }
+ *                    { type: 'event', sequence, kind, data }
+ *   server → client  { type: 'ack', sequence }   everything up to sequence arrived
+ *                    { type: 'snapshot' }        a viewer joined, send a full snapshot
+ *                    { type: 'stop' }            live mode switched off
+ *
+ * After a reconnect the client resends every unacknowledged message starting
+ * at `resumeFrom`; the server drops sequences it already has. `url` may be a
+ * function, called on every (re)connect so short-lived credentials stay fresh.
+ */
+
+// How often to retry sending while the socket is over its buffer limit
+const PUMP_INTERVAL = 100;
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+export class LiveStream {
+  constructor({
+    url,
+    sessionId,
+    maxBufferedAmount = 1024 * 1024,
+    maxQueueSize = 1000,
+    onSnapshotRequest = () => {},
+    onStop = () => {},
+    log = () => {}
+  }) {
+    this.url = url;
+    this.sessionId = sessionId;
+    this.maxBufferedAmount = maxBufferedAmount;
+    this.maxQueueSize = maxQueueSize;
+    this.onSnapshotRequest = onSnapshotRequest;
+    this.onStop = onStop;
+    this.log = log;
+
+    this.socket = null;
+    this.nextSequence = 0;
+    this.queue = []; // Not sent yet
+    this.unacked = []; // Sent but not acknowledged, resent after a reconnect
+    this.lostMessages = false; // Messages were dropped, the viewer needs a new snapshot
+    this.connected = false; // Opened at least once
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pumpTimer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Open the connection
+   */
+  start() {
+    if (this.stopped || this.socket) return;
+
+    try {
+      this.socket = new WebSocket(typeof this.url === 'function' ? this.url() : this.url);
+    } catch (error) {
+      this.log('Live connection failed', error);
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket.onopen = () => this.handleOpen();
+    this.socket.onmessage = (message) => this.handleMessage(message);
+    this.socket.onclose = () => this.handleClose();
+    this.socket.onerror = () => {
+      // onclose follows and takes care of reconnecting
+    };
+  }
+
+  /**
+   * Close the connection for good
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.pumpTimer);
+
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * Queue an event for the viewer
+   */
+  send(kind, data) {
+    if (this.stopped) return;
+
+    this.queue.push({ type: 'event', sequence: this.nextSequence++, kind, data });
+
+    // Too far behind to catch up: drop the backlog and start over from a snapshot
+    if (this.queue.length > this.maxQueueSize) {
+      this.log('Live stream backlog full, dropping queued events');
+      this.queue = [];
+      this.lostMessages = true;
+      if (this.isOpen()) {
+        this.resync();
+      }
+      return;
+    }
+
+    this.pump();
+  }
+
+  /**
+   * Whether the socket is open
+   */
+  isOpen() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Send queued messages while the socket's buffer has room
+   */
+  pump() {
+    if (!this.isOpen()) return;
+
+    while (this.queue.length > 0 && this.socket.bufferedAmount < this.maxBufferedAmount) {
+      const message = this.queue.shift();
+      this.socket.send(JSON.stringify(message));
+      this.unacked.push(message);
+    }
+
+    // Keep only what can be resent; older messages are lost on reconnect
+    if (this.unacked.length > this.maxQueueSize) {
+      this.unacked.splice(0, this.unacked.length - this.maxQueueSize);
+      this.lostMessages = true;
+    }
+
+    if (this.queue.length > 0 && !this.pumpTimer) {
+      this.pumpTimer = setTimeout(() => {
+        this.pumpTimer = null;
+        this.pump();
+      }, PUMP_INTERVAL);
+    }
+  }
+
+  /**
+   * Handle a (re)opened connection
+   */
+  handleOpen() {
+    const firstConnection = !this.connected;
+    this.connected = true;
+    this.reconnectAttempts = 0;
+
+    // Resend what the server may have missed, ahead of anything newer
+    this.queue = [...this.unacked, ...this.queue];
+    this.unacked = [];
+    const resumeFrom = this.queue.length > 0 ? this.queue[0].sequence : this.nextSequence;
+
+    this.socket.send(JSON.stringify({ type: 'hello', sessionId: this.sessionId, resumeFrom }));
+
+    // The viewer starts from a full snapshot, and needs a new one after a gap
+    if (firstConnection || this.lostMessages) {
+      this.resync();
+    }
+    this.pump();
+  }
+
+  /**
+   * Handle a message from the server
+   */
+  handleMessage(message) {
+    let data;
+    try {
+      data = JSON.parse(message.data);
+    } catch (error) {
+      return;
+    }
+
+    if (data.type === 'ack') {
+      this.unacked = this.unacked.filter(sent => sent.sequence > data.sequence);
+    } else if (data.type === 'snapshot') {
+      this.onSnapshotRequest();
+    } else if (data.type === 'stop') {
+      this.stop();
+      this.onStop();
+    }
+  }
+
+  /**
+   * Handle a dropped connection
+   */
+  handleClose() {
+    this.socket = null;
+    clearTimeout(this.pumpTimer);
+    this.pumpTimer = null;
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Reconnect with exponential backoff and jitter
+   */
+  scheduleReconnect() {
+    if (this.stopped) return;
+
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => this.start(), Math.round(delay * (0.5 + Math.random() / 2)));
+  }
+
+  /**
+   * Ask for a full snapshot so the viewer can rebuild the page
+   */
+  resync() {
+    this.lostMessages = false;
+    this.onSnapshotRequest();
+  }
+}
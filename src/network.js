@@ -0,0 +1,55 @@
+/**
+ * SpectraView SDK - Network conditions
+ *
+ * Reads connectivity from navigator.onLine and the Network Information API
+ * (navigator.connection, not available in every browser) and turns it into
+ * batching settings: slow or metered connections send fewer, larger batches.
+ */
+
+// How much to stretch batchSize and flushInterval per connection type
+const SLOWDOWN_BY_EFFECTIVE_TYPE = {
+  'slow-2g': 4,
+  '2g': 4,
+  '3g': 2,
+  '4g': 1
+};
+
+// Data saver is on: upload as rarely as the slowest connections
+const SAVE_DATA_SLOWDOWN = 4;
+
+/**
+ * Get the Network Information API object, or null when unsupported
+ */
+export function getConnection() {
+  if (typeof navigator === 'undefined') return null;
+  return navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+}
+
+/**
+ * Read the current network conditions. Browsers without navigator.onLine
+ * count as online.
+ */
+export function getNetworkConditions() {
+  const connection = getConnection();
+
+  return {
+    online: typeof navigator === 'undefined' || navigator.onLine !== false,
+    effectiveType: connection?.effectiveType || null,
+    saveData: !!connection?.saveData
+  };
+}
+
+/**
+ * Adapt the configured batchSize and flushInterval to the network conditions
+ */
+export function getBatchingSettings({ batchSize, flushInterval }, conditions) {
+  const slowdown = Math.max(
+    SLOWDOWN_BY_EFFECTIVE_TYPE[conditions.effectiveType] || 1,
+    conditions.saveData ? SAVE_DATA_SLOWDOWN : 1
+  );
+
+  return {
+    batchSize: batchSize * slowdown,
+    flushInterval: flushInterval * slowdown
+  };
+}
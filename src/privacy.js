@@ -0,0 +1,245 @@
+/**
+ * SpectraView SDK - Declarative privacy
+ *
+ * Elements are marked with data attributes or matched by selector lists in
+ * the config, so third-party components need no SDK classes:
+ *   block    data-spectra-block, blockSelector, blockClass
+ *            not recorded at all
+ *   mask     data-spectra-mask, maskSelector, maskTextClass
+ *            text and input values replaced by asterisks
+ *            maskInputSelector only masks input values
+ *   unmask   data-spectra-unmask, unmaskSelector
+ *            exempt from masking, including maskTextContent / maskAllInputs
+ *
+ * The nearest marker wins, so an unmasked region can hold a masked field and
+ * the other way round. An element marked both ways stays masked, and password
+ * fields are always masked.
+ *
+ * rrweb blocks and masks text itself. It has no unmask or input selector
+ * options, so those are applied to its events afterwards, finding the DOM
+ * nodes through rrweb's mirror.
+ */
+
+export const BLOCK_ATTRIBUTE = 'data-spectra-block';
+export const MASK_ATTRIBUTE = 'data-spectra-mask';
+export const UNMASK_ATTRIBUTE = 'data-spectra-unmask';
+
+// rrweb event, incremental source and serialized node types
+const FULL_SNAPSHOT = 2;
+const INCREMENTAL_SNAPSHOT = 3;
+const MUTATION = 0;
+const INPUT = 5;
+const ELEMENT_NODE = 2;
+const TEXT_NODE = 3;
+
+const INPUT_TAGS = new Set(['input', 'textarea', 'select']);
+
+/**
+ * Check whether a value is what masking leaves behind
+ */
+function looksMasked(value) {
+  return typeof value === 'string' && value.includes('*') && /^[\s*]*$/.test(value);
+}
+
+/**
+ * Mask text the way rrweb does, keeping whitespace
+ */
+export function maskText(text) {
+  return String(text).replace(/\S/g, '*');
+}
+
+/**
+ * Mask an input value the way rrweb does
+ */
+function maskValue(value) {
+  return '*'.repeat(String(value).length);
+}
+
+/**
+ * Check whether a selector parses, without touching the page
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Join selectors into one selector list, or null when there are none
+ */
+function joinSelectors(selectors) {
+  return selectors.length > 0 ? selectors.join(', ') : null;
+}
+
+/**
+ * Get the closest element matching a selector list, starting at the element
+ */
+function closest(element, selector) {
+  return selector && element && typeof element.closest === 'function' ? element.closest(selector) : null;
+}
+
+/**
+ * Create the privacy rules of a client. Selector options accept a string or a
+ * list; invalid selectors are reported and left out, since one of them would
+ * make every match throw.
+ */
+export function createPrivacyRules({
+  blockClass = null,
+  blockSelector = [],
+  maskTextClass = null,
+  maskSelector = [],
+  maskInputSelector = [],
+  unmaskSelector = [],
+  maskTextContent = false,
+  maskAllInputs = false,
+  onInvalidSelector = () => {}
+} = {}) {
+  const selectors = (list) => [].concat(list || []).filter(selector => {
+    if (isValidSelector(selector)) return true;
+    onInvalidSelector(selector);
+    return false;
+  });
+  const classSelector = (name) => (typeof name === 'string' && name ? [`.${name}`] : []);
+
+  const block = joinSelectors([`[${BLOCK_ATTRIBUTE}]`, ...classSelector(blockClass), ...selectors(blockSelector)]);
+  const maskTextSelectors = [`[${MASK_ATTRIBUTE}]`, ...classSelector(maskTextClass), ...selectors(maskSelector)];
+  const maskTextList = joinSelectors(maskTextSelectors);
+  const maskInput = joinSelectors([...maskTextSelectors, ...selectors(maskInputSelector)]);
+  const unmask = joinSelectors([`[${UNMASK_ATTRIBUTE}]`, ...selectors(unmaskSelector)]);
+
+  // Nearest marker wins; a mask on the same element as the unmask wins too
+  const isMasked = (element, maskSelectorList, maskedByDefault) => {
+    const masked = closest(element, maskSelectorList);
+    const unmasked = closest(element, unmask);
+    if (masked && (!unmasked || unmasked.contains(masked))) return true;
+    if (unmasked) return false;
+    return maskedByDefault;
+  };
+
+  return {
+    // Selectors for rrweb, which masks every matching text node itself
+    blockSelector: block,
+    maskTextSelector: maskTextContent ? '*' : maskTextList,
+
+    isBlocked: element => !!closest(element, block),
+    isTextMasked: element => isMasked(element, maskTextList, maskTextContent),
+    isInputMasked: element => (element?.type === 'password' || isMasked(element, maskInput, maskAllInputs))
+  };
+}
+
+/**
+ * Get an element's text as a replay would show it: text inside blocked
+ * elements is left out and text inside masked ones is masked, node by node
+ */
+export function getPrivateText(element, rules, maxLength = Infinity) {
+  if (!element) return '';
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  let text = '';
+  for (let node = walker.nextNode(); node && text.length < maxLength; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    if (rules.isBlocked(parent)) continue;
+    text += rules.isTextMasked(parent) ? maskText(node.data) : node.data;
+  }
+  return text.substring(0, maxLength);
+}
+
+/**
+ * Apply the rules to one text value: mask it, or restore the live text that
+ * rrweb masked if the node is unmasked. Unknown nodes keep what rrweb chose.
+ */
+function applyToText(value, node, rules) {
+  if (typeof value !== 'string' || !node) return value;
+
+  if (rules.isTextMasked(node.parentElement)) {
+    return looksMasked(value) ? value : maskText(value);
+  }
+  return looksMasked(value) ? node.textContent : value;
+}
+
+/**
+ * Apply the rules to one input value; `readLive` gets the real value back
+ * when the element is unmasked
+ */
+function applyToInput(value, element, rules, readLive = () => element.value) {
+  if (typeof value !== 'string' || !element || !value) return value;
+
+  if (rules.isInputMasked(element)) {
+    return looksMasked(value) ? value : maskValue(value);
+  }
+  const live = looksMasked(value) ? readLive() : value;
+  return typeof live === 'string' ? live : value;
+}
+
+/**
+ * Apply the rules to a serialized node and its children
+ */
+function applyToNode(node, rules, getNode) {
+  if (!node) return node;
+
+  if (node.type === TEXT_NODE && !node.isStyle) {
+    const textContent = applyToText(node.textContent, getNode(node.id), rules);
+    return textContent === node.textContent ? node : { ...node, textContent };
+  }
+
+  if (node.type !== ELEMENT_NODE && !node.childNodes) return node;
+
+  let { attributes } = node;
+  if (attributes && INPUT_TAGS.has(node.tagName) && typeof attributes.value === 'string') {
+    const value = applyToInput(attributes.value, getNode(node.id), rules);
+    if (value !== attributes.value) attributes = { ...attributes, value };
+  }
+
+  return {
+    ...node,
+    ...(attributes && { attributes }),
+    ...(node.childNodes && { childNodes: node.childNodes.map(child => applyToNode(child, rules, getNode)) })
+  };
+}
+
+/**
+ * Apply a client's privacy rules to an rrweb event: unmasked content that
+ * rrweb masked gets its live value back, and content the rules mask but the
+ * shared recording didn't (input selectors, another client's settings) is
+ * masked. Returns a copy; without a mirror the event is returned as is.
+ */
+export function applyPrivacyRules(event, rules, mirror) {
+  if (!event || !event.data || !mirror || typeof mirror.getNode !== 'function') return event;
+
+  const getNode = id => (id === undefined ? null : mirror.getNode(id));
+
+  if (event.type === FULL_SNAPSHOT) {
+    return { ...event, data: { ...event.data, node: applyToNode(event.data.node, rules, getNode) } };
+  }
+
+  if (event.type !== INCREMENTAL_SNAPSHOT) return event;
+
+  const { data } = event;
+
+  if (data.source === MUTATION) {
+    return {
+      ...event,
+      data: {
+        ...data,
+        texts: (data.texts || []).map(text => ({ ...text, value: applyToText(text.value, getNode(text.id), rules) })),
+        attributes: (data.attributes || []).map(mutation => {
+          const element = getNode(mutation.id);
+          const value = mutation.attributes?.value;
+          if (typeof value !== 'string' || !INPUT_TAGS.has(element?.tagName?.toLowerCase())) return mutation;
+          const attributeValue = applyToInput(value, element, rules, () => element.getAttribute('value'));
+          return { ...mutation, attributes: { ...mutation.attributes, value: attributeValue } };
+        }),
+        adds: (data.adds || []).map(add => ({ ...add, node: applyToNode(add.node, rules, getNode) }))
+      }
+    };
+  }
+
+  if (data.source === INPUT && typeof data.text === 'string') {
+    return { ...event, data: { ...data, text: applyToInput(data.text, getNode(data.id), rules) } };
+  }
+
+  return event;
+}
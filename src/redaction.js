@@ -0,0 +1,265 @@
+/**
+ * SpectraView SDK - PII redaction
+ *
+ * Scrubs captured data before it is buffered. Three layers, checked per key:
+ *   safe keys     never scrubbed, the value is kept as is
+ *   redact keys   the whole value is replaced, whatever it contains
+ *   rules         regexes replace matches in every other string with a label:
+ *                 emails and cards, the selected detector packs, custom rules
+ *
+ * Keys are compared ignoring case, `-`, `_` and spaces, so `apiKey`, `api_key`
+ * and `API-Key` are the same key. RegExp entries are tested against the raw key.
+ */
+
+import { getDetectorPack } from './detectors';
+
+export const REDACTED = '[REDACTED]';
+
+// Values under these keys are always replaced
+export const DEFAULT_REDACT_KEYS = [
+  'password', 'passwd', 'pwd', 'secret', 'clientSecret',
+  'token', 'accessToken', 'refreshToken', 'idToken', 'authorization', 'apiKey',
+  'cookie', 'setCookie', 'sessionToken',
+  'cvv', 'cvc', 'cvv2', 'pin', 'cardNumber', 'creditCard'
+];
+
+/**
+ * Check a digit string against the Luhn checksum used by payment cards
+ */
+export function isValidLuhn(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Formats that don't depend on the country, always on
+export const EMAIL_RULE = { name: 'email', pattern: /[\w.-]+@[\w.-]+\.\w+/g, replacement: '[EMAIL]' };
+export const CARD_RULE = { name: 'card', pattern: /\b\d(?:[\s-]?\d){12,18}\b/g, replacement: '[CARD]', validate: isValidLuhn };
+
+/**
+ * Normalize a key for comparison
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_\s]/g, '');
+}
+
+/**
+ * Build a predicate matching keys against names and RegExps
+ */
+export function createKeyMatcher(entries) {
+  const names = new Set();
+  const patterns = [];
+
+  entries.forEach(entry => {
+    if (entry instanceof RegExp) {
+      patterns.push(entry);
+    } else {
+      names.add(normalizeKey(entry));
+    }
+  });
+
+  return key => names.has(normalizeKey(key)) || patterns.some(pattern => {
+    pattern.lastIndex = 0;
+    return pattern.test(key);
+  });
+}
+
+/**
+ * Compile a rule to a global RegExp. Patterns may be RegExps or source strings.
+ */
+function compileRule(rule) {
+  const { pattern } = rule;
+  const flags = pattern instanceof RegExp ? pattern.flags : '';
+  const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+
+  return {
+    ...rule,
+    pattern: new RegExp(source, flags.includes('g') ? flags : `${flags}g`),
+    replacement: rule.replacement !== undefined ? rule.replacement : REDACTED
+  };
+}
+
+/**
+ * Create a redactor. Rules run in order: emails (so the digits in an address
+ * don't break it up), the detector packs in the order given, cards (after the
+ * packs so checksummed identifiers keep their own label), then custom rules.
+ * A key listed as both safe and redacted is kept, since safeKeys is always an
+ * explicit choice.
+ */
+export function createRedactor({
+  rules = [],
+  packs = ['us'],
+  redactKeys = [],
+  safeKeys = [],
+  onInvalidRule = () => {},
+  onUnknownPack = () => {}
+} = {}) {
+  const detectors = [];
+  packs.forEach(name => {
+    const pack = getDetectorPack(name);
+    if (pack) {
+      detectors.push(...pack);
+    } else {
+      onUnknownPack(name);
+    }
+  });
+
+  const compiled = [];
+  [EMAIL_RULE, ...detectors, CARD_RULE, ...rules].forEach(rule => {
+    try {
+      compiled.push(compileRule(rule));
+    } catch (error) {
+      onInvalidRule(rule, error);
+    }
+  });
+
+  const isRedactedKey = createKeyMatcher([...DEFAULT_REDACT_KEYS, ...redactKeys]);
+  const isSafeKey = createKeyMatcher(safeKeys);
+
+  const redactText = (text) => compiled.reduce((result, rule) => result.replace(rule.pattern, (match) => {
+    if (rule.validate && !rule.validate(match)) return match;
+    return typeof rule.replacement === 'function' ? rule.replacement(match) : rule.replacement;
+  }), text);
+
+  const redactValue = (value) => {
+    if (typeof value === 'string') {
+      return redactText(value);
+    } else if (Array.isArray(value)) {
+      return value.map(redactValue);
+    } else if (typeof value === 'object' && value !== null) {
+      const result = {};
+      for (const key in value) {
+        if (isSafeKey(key)) {
+          result[key] = value[key];
+        } else if (isRedactedKey(key)) {
+          result[key] = REDACTED;
+        } else {
+          result[key] = redactValue(value[key]);
+        }
+      }
+      return result;
+    }
+    return value;
+  };
+
+  return {
+    redactText,
+    isRedactedKey: key => !isSafeKey(key) && isRedactedKey(key),
+
+    // Deep clone first so callers never see their own objects modified
+    redact: data => (data ? redactValue(JSON.parse(JSON.stringify(data))) : data)
+  };
+}
+
+// rrweb event, incremental source and serialized node types
+const FULL_SNAPSHOT = 2;
+const INCREMENTAL_SNAPSHOT = 3;
+const MUTATION = 0;
+const INPUT = 5;
+const ELEMENT_NODE = 2;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 5;
+
+// Attributes that carry layout or inlined resources rather than page content
+const STRUCTURAL_ATTRIBUTES = new Set(['style', 'class', '_cssText', 'rr_dataURL', 'srcset', 'd', 'points']);
+
+// Attributes holding a URL, sanitized like every other URL the SDK records
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite']);
+
+/**
+ * Redact one attribute value. Styles, inlined resources and data URLs are left
+ * alone: they are large, never user content, and replays break without them.
+ */
+function redactAttribute(name, value, redactText, sanitizeUrl) {
+  if (typeof value !== 'string' || STRUCTURAL_ATTRIBUTES.has(name) || value.startsWith('data:')) {
+    return value;
+  }
+  return redactText(URL_ATTRIBUTES.has(name) ? sanitizeUrl(value) : value);
+}
+
+/**
+ * Redact the attributes of a serialized node or attribute mutation
+ */
+function redactAttributes(attributes, redactText, sanitizeUrl) {
+  const result = {};
+  for (const name in attributes) {
+    result[name] = redactAttribute(name, attributes[name], redactText, sanitizeUrl);
+  }
+  return result;
+}
+
+/**
+ * Redact a serialized DOM node and its children. Inlined stylesheets are kept.
+ */
+function redactNode(node, redactText, sanitizeUrl) {
+  if (!node) return node;
+
+  if ((node.type === TEXT_NODE && !node.isStyle) || node.type === COMMENT_NODE) {
+    return { ...node, textContent: redactText(node.textContent || '') };
+  }
+
+  if (node.type === ELEMENT_NODE || node.childNodes) {
+    return {
+      ...node,
+      ...(node.attributes && { attributes: redactAttributes(node.attributes, redactText, sanitizeUrl) }),
+      ...(node.childNodes && { childNodes: node.childNodes.map(child => redactNode(child, redactText, sanitizeUrl)) })
+    };
+  }
+
+  return node;
+}
+
+/**
+ * Redact the page content of an rrweb event: full-snapshot nodes, mutated
+ * text, attributes and added nodes, and input values. URL attributes also go
+ * through `sanitizeUrl`. Returns a copy, the event may be shared with other
+ * clients and with rrweb's own node mirror.
+ *
+ * rrweb's maskTextFn and maskInputFn only run for content rrweb already
+ * masks, which leaves as asterisks anyway, so the redaction happens here.
+ */
+export function redactReplayEvent(event, redactText, sanitizeUrl = url => url) {
+  if (!event || !event.data) return event;
+
+  if (event.type === FULL_SNAPSHOT) {
+    return { ...event, data: { ...event.data, node: redactNode(event.data.node, redactText, sanitizeUrl) } };
+  }
+
+  if (event.type !== INCREMENTAL_SNAPSHOT) return event;
+
+  const { data } = event;
+
+  if (data.source === MUTATION) {
+    return {
+      ...event,
+      data: {
+        ...data,
+        texts: (data.texts || []).map(text => ({
+          ...text,
+          value: typeof text.value === 'string' ? redactText(text.value) : text.value
+        })),
+        attributes: (data.attributes || []).map(mutation => ({
+          ...mutation,
+          attributes: redactAttributes(mutation.attributes, redactText, sanitizeUrl)
+        })),
+        adds: (data.adds || []).map(add => ({ ...add, node: redactNode(add.node, redactText, sanitizeUrl) }))
+      }
+    };
+  }
+
+  if (data.source === INPUT && typeof data.text === 'string') {
+    return { ...event, data: { ...data, text: redactText(data.text) } };
+  }
+
+  return event;
+}
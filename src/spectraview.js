@@ -8,20 +8,245 @@ import { pack } from 'rrweb';
 import pako from 'pako';
 import { v4 as uuidv4 } from 'uuid';
 import localforage from 'localforage';
+import { subscribe, takeFullSnapshot } from './instrumentation';
+import { createResult, describeFailure, resolveTransport, ERROR_TYPES } from './transport';
+import { gzip, gzipSync, toBase64 } from './compression';
+import { LiveStream } from './live';
+import { getBatchingSettings, getConnection, getNetworkConditions } from './network';
+import { EventStore, isQuotaExceeded, jsonByteLength } from './storage';
+import { createEncryptedStorage, isEncryptionSupported, loadKey } from './encryption';
+import { createRedactor, redactReplayEvent } from './redaction';
+import { registerDetectorPack } from './detectors';
+import { createUrlSanitizer } from './urls';
+import { applyPrivacyRules, createPrivacyRules, getPrivateText } from './privacy';
+
+// Minimum time between writes of the persisted session state
+const SESSION_PERSIST_INTERVAL = 1000;
+
+// Browsers refuse beacons and keepalive requests above 64KB. Budgets are
+// measured before encoding and base64 adds a third when events don't compress.
+const UNLOAD_MAX_PAYLOAD_BYTES = 45 * 1024;
+
+// Refresh auth tokens this long before they expire, so requests in flight
+// (and beacons sent during unload) don't carry a token that is about to lapse
+const AUTH_TOKEN_REFRESH_MARGIN = 30 * 1000;
+
+// Session recording decisions: DOM replay, custom events/errors only, or nothing
+const RECORDING_DECISIONS = ['full', 'analytics', 'none'];
+
+// Consent states and where the visitor's choice is remembered
+const CONSENT_STATES = ['pending', 'granted', 'revoked'];
+const CONSENT_STORAGE_KEY = 'spectraview_consent';
+
+// Values typed into masked fields, kept out of network and console capture.
+// Shorter values would match too much unrelated text.
+const MAX_MASKED_VALUES = 50;
+const MIN_MASKED_VALUE_LENGTH = 3;
+
+/**
+ * Capture mode presets. Each mode is a set of defaults for the recording
+ * options; any option passed explicitly to init() overrides its preset value.
+ */
+const CAPTURE_MODE_PRESETS = {
+  // Everything: full DOM replay plus all custom event sources
+  full: {
+    recordDOM: true,
+    recordCanvas: true,
+    collectFonts: true,
+    inlineStylesheet: true,
+    maskAllInputs: true,
+    maskTextContent: false,
+    captureClicks: true,
+    captureClickText: true,
+    captureNavigation: true,
+    captureNetwork: true,
+    captureConsole: true,
+    sampling: {
+      scroll: 150,
+      media: 800,
+      input: 'last',
+      mousemove: false, // Disabled by default for performance
+      mouseInteraction: true
+    }
+  },
+
+  // DOM replay with all text masked, no canvas/fonts and no console capture
+  privacy: {
+    recordDOM: true,
+    recordCanvas: false,
+    collectFonts: false,
+    inlineStylesheet: true,
+    maskAllInputs: true,
+    maskTextContent: true,
+    captureClicks: true,
+    captureClickText: false,
+    captureNavigation: true,
+    captureNetwork: true,
+    captureConsole: false,
+    sampling: {
+      scroll: 300,
+      media: 800,
+      input: 'last',
+      mousemove: false,
+      mouseInteraction: true
+    }
+  },
+
+  // No DOM replay: only clicks, errors and navigation
+  minimal: {
+    recordDOM: false,
+    recordCanvas: false,
+    collectFonts: false,
+    inlineStylesheet: false,
+    maskAllInputs: true,
+    maskTextContent: true,
+    captureClicks: true,
+    captureClickText: false,
+    captureNavigation: true,
+    captureNetwork: false,
+    captureConsole: false,
+    sampling: {
+      scroll: 500,
+      media: 800,
+      input: 'last',
+      mousemove: false,
+      mouseInteraction: true
+    }
+  }
+};
+
+/**
+ * Options the backend may override through remote config. Credentials,
+ * endpoints, storage namespace and callbacks always stay local.
+ */
+const REMOTE_CONFIG_KEYS = [
+  'captureMode', 'recordDOM', 'recordCanvas', 'collectFonts', 'inlineStylesheet',
+  'captureClicks', 'captureClickText', 'captureNavigation', 'captureNetwork', 'captureConsole',
+  'maskAllInputs', 'maskTextContent', 'blockClass', 'ignoreClass', 'maskTextClass',
+  'blockSelector', 'maskSelector', 'maskInputSelector', 'unmaskSelector', 'redactReplay',
+  'sampling', 'sessionSampleRate', 'targetingRules',
+  'recordOnError', 'bufferWindow', 'triggerEvents',
+  'batchSize', 'flushInterval', 'sessionTimeout', 'maxSessionDuration',
+  'enableLocalStorage', 'maxLocalEvents', 'maxLocalBytes', 'maxLocalAge', 'maxRetries', 'maxBatchAge', 'maxOutboxBytes',
+  'payloadFormat', 'maxPayloadBytes', 'debug'
+];
+
+/**
+ * Keep only the remote settings that are allowed to override local config
+ */
+function pickRemoteSettings(remote) {
+  const settings = {};
+  REMOTE_CONFIG_KEYS.forEach(key => {
+    if (remote[key] !== undefined) {
+      settings[key] = remote[key];
+    }
+  });
+  return settings;
+}
+
+/**
+ * What the outbox index keeps of a queued batch record
+ */
+function toOutboxEntry(record) {
+  return {
+    timestamp: record.timestamp || 0,
+    retryCount: record.retryCount || 0,
+    nextAttempt: record.nextAttempt || 0,
+    bytes: record.bytes || 0
+  };
+}
+
+/**
+ * Split a batch into ordered chunks of at most maxBytes of JSON (measured
+ * before compression). An item larger than the budget gets a chunk of its own.
+ */
+function splitBatch({ events, customEvents, errors }, maxBytes) {
+  const chunks = [];
+  let chunk = null;
+  let size = 0;
+
+  [['events', events], ['customEvents', customEvents], ['errors', errors]].forEach(([kind, items]) => {
+    items.forEach(item => {
+      const itemSize = jsonByteLength(item);
+      if (chunk && size + itemSize > maxBytes) {
+        chunks.push(chunk);
+        chunk = null;
+      }
+      if (!chunk) {
+        chunk = { events: [], customEvents: [], errors: [] };
+        size = 0;
+      }
+      chunk[kind].push(item);
+      size += itemSize;
+    });
+  });
+
+  if (chunk) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Reject if a promise does not settle within the given time
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check whether a value is a promise-like
+ */
+function isThenable(value) {
+  return !!value && typeof value.then === 'function';
+}
+
+/**
+ * Build a RegExp from a URL pattern: RegExp as-is, strings as globs with `*`
+ */
+function toUrlMatcher(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+
+  const escaped = String(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`);
+}
 
 class SpectraViewSDK {
   constructor() {
     // Configuration
     this.config = null;
+    this.redactor = createRedactor(); // Rebuilt from config on init
+    this.urlSanitizer = createUrlSanitizer();
+    this.privacyRules = createPrivacyRules();
     this.sessionId = null;
     this.userId = null;
+    this.userTraits = {};
     
     // State
     this.isRecording = false;
     this.stopRecordingFn = null;
+    this.consentState = null;
+    this.isBuffering = false; // Record-on-error: holding events until a trigger
+    this.isPaused = false;
+    
+    // User-registered event processors
+    this.eventProcessors = [];
+    
+    // Attached listeners and shared instrumentation, undone on stop()
+    this.listeners = [];
+    this.unsubscribeFns = [];
+    this.maskedValues = new Map(); // Masked field → the value typed into it
     
     // Event buffers
-    this.eventBuffer = [];
+    this.eventBuffer = []; // Packed rrweb events
+    this.eventInfo = []; // { type, timestamp } of each packed event
     this.customEventBuffer = [];
     this.errorBuffer = [];
     
@@ -31,10 +256,43 @@ class SpectraViewSDK {
     
     // Storage
     this.storage = null;
+    this.eventStore = null; // Local copy of recorded events until uploaded
+    this.outboxIndex = null; // Promise of the outbox batches' entries by key, read once per page load
+    
+    // Batches waiting to be sent, one request in flight at a time
+    this.flushQueue = [];
+    this.flushPromise = null;
+    this.retryQueue = []; // Failed batches kept in memory when there is no durable storage
+    
+    // Live streaming connection, when live mode is on for this session
+    this.liveStream = null;
+    
+    // Connectivity, and the batching settings adapted to it
+    this.network = { online: true, effectiveType: null, saveData: false };
+    this.batching = null;
+    
+    // Short-lived token from config.getAuthToken, and the request fetching it
+    this.authToken = null;
+    this.authTokenPromise = null;
+    
+    // Offline queue retries
+    this.outboxTimer = null;
+    this.outboxRetryAt = null;
+    this.drainPromise = null;
+    
+    // Transports for regular requests and for requests sent during page unload
+    this.transport = null;
+    this.unloadTransport = null;
+    this.keepaliveTransport = null; // Fallback when the browser refuses a beacon
+    this.binaryRejected = false; // Server answered 415 to a binary batch
     
     // Metadata
     this.sessionMetadata = {};
     
+    // Session continuity
+    this.sessionState = null;
+    this.lastSessionPersist = 0;
+    
     // Performance tracking
     this.performanceData = {
       startTime: null,
@@ -53,66 +311,316 @@ class SpectraViewSDK {
       return;
     }
 
+    this.config = this.buildConfig(config);
+    this.transport = this.createTransport(this.config.transport);
+    this.unloadTransport = this.createTransport(this.config.unloadTransport);
+    this.keepaliveTransport = resolveTransport('keepalive');
+    this.authToken = null;
+
+    // Settings from the backend override local config
+    if (this.config.remoteConfig && this.getApiEndpoint()) {
+      const remote = await this.loadRemoteConfig();
+
+      if (remote && remote.enabled === false) {
+        this.log('Recording disabled by remote config');
+        return;
+      }
+
+      if (remote) {
+        this.config = this.buildConfig({ ...config, ...pickRemoteSettings(remote) });
+      }
+    }
+
+    this.redactor = this.createRedactor();
+    this.urlSanitizer = this.createUrlSanitizer();
+    this.privacyRules = this.createPrivacyRules();
+
     // Validate config
-    if (!this.config.apiKey) {
-      console.warn('[SpectraView] No API key provided, running in offline mode');
+    if (!this.config.apiKey && !this.config.getAuthToken) {
+      console.warn('[SpectraView] No API key or getAuthToken provided, running in offline mode');
     }
     
     if (!this.config.apiEndpoint && !this.config.apiBaseUrl) {
       console.warn('[SpectraView] No API endpoint or base URL provided, running in offline mode');
     }
 
+    this.userId = this.config.userId || this.userId;
+    this.userTraits = { ...this.config.userTraits, ...this.userTraits };
+
+    // Nothing is captured until the visitor has consented
+    this.consentState = this.resolveConsent();
+    if (this.consentState !== 'granted') {
+      this.log(`Consent ${this.consentState}, recording not started`);
+      return;
+    }
+
+    await this.startRecording();
+  }
+
+  /**
+   * Resolve the full configuration: defaults, capture mode preset, then explicit options
+   */
+  buildConfig(config) {
+    const captureMode = config.captureMode || 'full';
+    if (!CAPTURE_MODE_PRESETS[captureMode]) {
+      console.warn(`[SpectraView] Unknown captureMode "${captureMode}", falling back to "full"`);
+    }
+    const preset = CAPTURE_MODE_PRESETS[captureMode] || CAPTURE_MODE_PRESETS.full;
+
+    // Explicit options always win over the capture mode preset
+    const option = (key) => (config[key] !== undefined ? config[key] : preset[key]);
+
     // Set configuration with defaults
-    this.config = {
+    return {
       apiKey: config.apiKey || process.env.SPECTRAVIEW_API_KEY || null,
+      getAuthToken: config.getAuthToken || null, // async () => token or { token, expiresAt }
+      beaconAuth: config.beaconAuth || 'query', // Where beacons carry credentials: 'query' or 'body'
       apiEndpoint: config.apiEndpoint || process.env.SPECTRAVIEW_API_URL || null,
       apiBaseUrl: config.apiBaseUrl || process.env.SPECTRAVIEW_BASE_URL || null, // New: base URL for paths
       appId: config.appId || process.env.SPECTRAVIEW_APP_ID || 'unknown',
       userId: config.userId || null,
+      userTraits: config.userTraits || {},
+      
+      // Sampling and targeting options
+      sessionSampleRate: config.sessionSampleRate !== undefined ? config.sessionSampleRate : 1,
+      targetingRules: config.targetingRules || [],
       
       // Recording options
-      captureMode: config.captureMode || 'full', // full | privacy | minimal
+      captureMode: CAPTURE_MODE_PRESETS[captureMode] ? captureMode : 'full', // full | privacy | minimal
+      recordDOM: option('recordDOM'),
+      recordCanvas: option('recordCanvas'),
+      collectFonts: option('collectFonts'),
+      inlineStylesheet: option('inlineStylesheet'),
+      
+      // Custom event capture options
+      captureClicks: option('captureClicks'),
+      captureClickText: option('captureClickText'),
+      captureNavigation: option('captureNavigation'),
+      captureNetwork: option('captureNetwork'),
+      captureConsole: option('captureConsole'),
+      
+      // Record-on-error options
+      recordOnError: config.recordOnError || false, // Only upload sessions with problems
+      bufferWindow: config.bufferWindow || 2 * 60 * 1000, // Keep the last 2 minutes
+      triggerEvents: config.triggerEvents || [], // Custom events that also trigger an upload
+      
+      // Event pipeline options
+      beforeSendCustomEvent: config.beforeSendCustomEvent || null,
+      beforeSendError: config.beforeSendError || null,
+      beforeSendBatch: config.beforeSendBatch || null,
+      processorTimeout: config.processorTimeout || 1000, // Max wait for an async processor
       
       // Batching options
       batchSize: config.batchSize || 50,
       flushInterval: config.flushInterval || 30000, // 30 seconds
+      adaptToNetwork: config.adaptToNetwork !== false, // Stretch both on slow connections and data saver
+      
+      // Consent options
+      requireConsent: config.requireConsent || false, // Wait for setConsent('granted')
+      respectDoNotTrack: config.respectDoNotTrack || false, // Honor GPC / Do Not Track
+      
+      // Session options
+      persistSession: config.persistSession !== false, // Default true
+      sessionTimeout: config.sessionTimeout || 30 * 60 * 1000, // 30 minutes of inactivity
+      maxSessionDuration: config.maxSessionDuration || 4 * 60 * 60 * 1000, // 4 hours
       
       // Storage options
+      storageNamespace: config.storageNamespace || 'spectraview', // Isolates clients on the same page
       enableLocalStorage: config.enableLocalStorage !== false, // Default true
       maxLocalEvents: config.maxLocalEvents || 1000,
+      maxLocalBytes: config.maxLocalBytes || 5 * 1024 * 1024, // 5MB
+      maxLocalAge: config.maxLocalAge || 24 * 60 * 60 * 1000, // 24 hours
+      encryptLocalData: config.encryptLocalData || false, // AES-GCM for everything kept in IndexedDB
+      
+      // Offline queue options (failed batches waiting for retry)
+      maxRetries: config.maxRetries || 8,
+      maxBatchAge: config.maxBatchAge || 24 * 60 * 60 * 1000, // 24 hours
+      maxOutboxBytes: config.maxOutboxBytes || 5 * 1024 * 1024, // 5MB
+      retryBaseDelay: config.retryBaseDelay || 1000,
+      retryMaxDelay: config.retryMaxDelay || 5 * 60 * 1000, // 5 minutes
       
       // Privacy options
-      maskAllInputs: config.maskAllInputs !== false, // Default true
-      maskTextContent: config.maskTextContent || false,
+      maskAllInputs: option('maskAllInputs'),
+      maskTextContent: option('maskTextContent'),
       blockClass: config.blockClass || 'spectra-block',
       ignoreClass: config.ignoreClass || 'spectra-ignore',
       maskTextClass: config.maskTextClass || 'spectra-mask',
+      blockSelector: config.blockSelector || [], // CSS selectors, like data-spectra-block
+      maskSelector: config.maskSelector || [], // Like data-spectra-mask: text and input values
+      maskInputSelector: config.maskInputSelector || [], // Input values only
+      unmaskSelector: config.unmaskSelector || [], // Like data-spectra-unmask, overrides maskTextContent/maskAllInputs
+      redactionRules: config.redactionRules || [], // [{ pattern, replacement, validate }] on top of the defaults
+      redactionPacks: config.redactionPacks || ['us'], // Locale detectors: us, mx, iban, e164, gt, sv, hn, ni, cr, pa
+      redactReplay: config.redactReplay || false, // Also redact DOM text, attributes and input values in rrweb events
+      redactKeys: config.redactKeys || [], // Keys whose values are always replaced, on top of the defaults
+      safeKeys: config.safeKeys || [], // Keys that are never scrubbed
+      urlDenyParams: config.urlDenyParams || [], // Query/fragment parameters to redact, on top of the defaults
+      urlAllowParams: config.urlAllowParams || null, // When set, every other parameter is redacted
+      stripUrlFragment: config.stripUrlFragment || false, // Drop #fragments instead of sanitizing them
+      urlPathTemplates: config.urlPathTemplates || [], // e.g. '/reset/:token' names the segments it covers
+      templateUrlIds: config.templateUrlIds !== false, // /orders/123456 → /orders/:id
       
       // Performance options
-      sampling: config.sampling || {
-        scroll: 150,
-        media: 800,
-        input: 'last',
-        mousemove: false, // Disabled by default for performance
-        mouseInteraction: true
-      },
+      sampling: config.sampling || { ...preset.sampling },
+      
+      // Transport options
+      transport: config.transport || 'fetch', // 'fetch', 'keepalive', 'beacon' or { send(request) }
+      unloadTransport: config.unloadTransport || (config.transport?.send ? config.transport : 'beacon'),
+      requestTimeout: config.requestTimeout || 10000,
+      payloadFormat: config.payloadFormat || 'json', // 'json' (base64 events) or 'binary' (gzipped body)
+      maxPayloadBytes: config.maxPayloadBytes || 512 * 1024, // Larger batches are split
+      
+      // Live streaming options
+      liveMode: config.liveMode || 'off', // 'off', 'on', or 'remote' (the server switches it on per session)
+      liveMaxBufferedAmount: config.liveMaxBufferedAmount || 1024 * 1024, // Backpressure threshold
+      liveMaxQueueSize: config.liveMaxQueueSize || 1000, // Events held while the viewer catches up
+      
+      // Remote config options
+      remoteConfig: config.remoteConfig || false, // Fetch settings from GET /apps/:appId/config
+      remoteConfigTTL: config.remoteConfigTTL || 5 * 60 * 1000, // Cache for 5 minutes
+      remoteConfigTimeout: config.remoteConfigTimeout || 3000,
       
       // Debug
       debug: config.debug || false
     };
+  }
 
-    // Initialize session
-    this.sessionId = uuidv4();
-    this.userId = this.config.userId;
-    this.performanceData.startTime = Date.now();
+  /**
+   * Fetch remote settings, using the cached copy while it is fresh and as a
+   * fallback when the endpoint is unreachable
+   */
+  async loadRemoteConfig() {
+    const cached = this.loadRemoteConfigCache();
+    if (cached && Date.now() - cached.fetchedAt < this.config.remoteConfigTTL) {
+      return cached.settings;
+    }
+
+    try {
+      const headers = {};
+      if (cached?.etag) {
+        headers['If-None-Match'] = cached.etag;
+      }
+
+      const result = await this.sendRequest(`/apps/${encodeURIComponent(this.config.appId)}/config`, {
+        method: 'GET',
+        headers,
+        timeout: this.config.remoteConfigTimeout
+      });
+
+      if (result.status === 304 && cached) {
+        this.saveRemoteConfigCache({ ...cached, fetchedAt: Date.now() });
+        return cached.settings;
+      }
+
+      if (!result.ok) {
+        throw new Error(describeFailure(result));
+      }
+
+      const settings = JSON.parse(result.body);
+      this.saveRemoteConfigCache({
+        settings,
+        etag: result.headers.etag || null,
+        fetchedAt: Date.now()
+      });
+
+      this.log('Remote config loaded', settings);
+      return settings;
+    } catch (error) {
+      this.logError('Failed to load remote config, using cached or local config', error);
+      return cached ? cached.settings : null;
+    }
+  }
+
+  /**
+   * Get the storage key for the cached remote config
+   */
+  getRemoteConfigStorageKey() {
+    return `${this.config.storageNamespace}_remote_config_${this.config.appId}`;
+  }
+
+  /**
+   * Load the cached remote config
+   */
+  loadRemoteConfigCache() {
+    try {
+      const raw = localStorage.getItem(this.getRemoteConfigStorageKey());
+      if (!raw) return null;
+
+      const cached = JSON.parse(raw);
+      return cached && cached.settings && cached.fetchedAt ? cached : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Cache the remote config
+   */
+  saveRemoteConfigCache(cached) {
+    try {
+      localStorage.setItem(this.getRemoteConfigStorageKey(), JSON.stringify(cached));
+    } catch (error) {
+      // Fail silently, the config is fetched again next time
+    }
+  }
+
+  /**
+   * Start the session and every capture source
+   */
+  async startRecording() {
+    // Initialize session (resumed from a previous page when still active)
+    const previousSession = this.config.persistSession ? this.loadSessionState() : null;
+    const resumed = !!previousSession && !this.isSessionExpired(previousSession, Date.now());
+
+    if (resumed) {
+      this.resumeSession(previousSession);
+    } else {
+      this.createSession();
+    }
+
+    // Sampling decision is made once and sticks for the whole session
+    if (!this.sessionState.recording) {
+      this.sessionState.recording = this.decideRecording();
+    }
+    const { decision } = this.sessionState.recording;
+    if (decision === 'none') {
+      this.sessionState.uploading = false;
+    }
+    this.persistSessionState(true);
+
+    // Close the expired session left behind by a previous page
+    const endedSession = !resumed && previousSession && previousSession.uploading !== false
+      ? previousSession.sessionId
+      : null;
+    if (endedSession) {
+      this.sendSessionEnd(previousSession.sessionId, previousSession.lastActivity, previousSession.stats);
+    }
+
+    if (decision === 'none') {
+      this.log('Session not sampled, recording not started', this.sessionState.recording);
+      return;
+    }
 
     // Initialize storage
     if (this.config.enableLocalStorage) {
       await this.initStorage();
+    } else {
+      this.storage = null;
+      this.eventStore = null;
     }
 
-    // Start capturing
-    this.startCapture();
+    // Batch size and interval depend on the connection
+    this.updateNetworkConditions();
+
+    // Replay batches left over from earlier page loads, and events of pages that crashed
+    await this.restoreUnsentBatches();
+    await this.recoverSessions(endedSession);
+    this.drainOutbox();
+
+    // Start capturing (DOM replay is skipped in minimal mode and analytics-only sessions)
+    if (this.config.recordDOM && decision === 'full') {
+      this.startCapture();
+    }
     
     // Setup timers
     this.setupTimers();
@@ -121,176 +629,815 @@ class SpectraViewSDK {
     this.attachGlobalListeners();
 
     this.isRecording = true;
+
+    if (this.config.liveMode === 'on') {
+      this.startLive();
+    }
     
-    this.log('SDK initialized', {
+    this.log('Recording started', {
       sessionId: this.sessionId,
       userId: this.userId,
       appId: this.config.appId
     });
 
+    if (resumed) {
+      this.captureCustomEvent('session_resume', {
+        url: this.sanitizeUrl(window.location.href),
+        referrer: this.sanitizeUrl(document.referrer)
+      });
+      return;
+    }
+
     // Send session start event (only if endpoint exists)
-    if (this.getApiEndpoint()) {
+    if (this.getApiEndpoint() && !this.isBuffering) {
       await this.sendSessionStart();
     }
   }
 
   /**
-   * Initialize local storage
+   * Decide how this session is recorded from the targeting rules and sample rate.
+   * Rules are checked in order; the first one whose conditions match and whose
+   * sample roll passes wins. Otherwise sessionSampleRate picks full or none.
    */
-  async initStorage() {
-    this.storage = localforage.createInstance({
-      name: 'spectraview',
-      storeName: 'events'
-    });
+  decideRecording() {
+    const rules = this.config.targetingRules;
+
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      const sampleRate = rule.sampleRate !== undefined ? rule.sampleRate : 1;
+
+      if (!this.matchesTargetingRule(rule) || Math.random() >= sampleRate) {
+        continue;
+      }
+
+      const decision = RECORDING_DECISIONS.includes(rule.recording) ? rule.recording : 'full';
+      return {
+        decision,
+        reason: 'rule',
+        rule: rule.name || i,
+        sampleRate
+      };
+    }
 
-    // Clean old events
-    await this.cleanOldEvents();
+    const sampleRate = this.config.sessionSampleRate;
+    return {
+      decision: Math.random() < sampleRate ? 'full' : 'none',
+      reason: 'sample',
+      sampleRate
+    };
   }
 
   /**
-   * Start capturing with rrweb
+   * Check the conditions of a targeting rule against the current page and user
    */
-  startCapture() {
-    try {
-      this.stopRecordingFn = rrweb.record({
-        emit: (event, isCheckout) => {
-          // Handle rrweb events
-          this.handleRRWebEvent(event, isCheckout);
-        },
-        
-        // Sampling configuration
-        sampling: this.config.sampling,
-        
-        // Privacy configuration
-        maskAllInputs: this.config.maskAllInputs,
-        maskTextContent: this.config.maskTextContent,
-        blockClass: this.config.blockClass,
-        ignoreClass: this.config.ignoreClass,
-        maskTextClass: this.config.maskTextClass,
-        
-        // Performance optimization
-        packFn: pack,
-        
-        // Checkout configuration
-        checkoutEveryNth: 100, // Full snapshot every 100 events
-        checkoutEveryNms: 60000, // Full snapshot every minute
-        
-        // Advanced options
-        recordCanvas: true,
-        inlineStylesheet: true,
-        collectFonts: true,
-        
-        // Plugin configuration
-        plugins: []
-      });
-      
-      this.log('rrweb recording started');
-    } catch (error) {
-      this.logError('Failed to start rrweb recording', error);
+  matchesTargetingRule(rule) {
+    if (rule.urlPattern && !toUrlMatcher(rule.urlPattern).test(window.location.href)) {
+      return false;
+    }
+
+    if (rule.appId) {
+      const appIds = Array.isArray(rule.appId) ? rule.appId : [rule.appId];
+      if (!appIds.includes(this.config.appId)) return false;
     }
+
+    if (rule.userIds && !rule.userIds.includes(this.userId)) {
+      return false;
+    }
+
+    if (rule.traits) {
+      for (const [key, expected] of Object.entries(rule.traits)) {
+        const actual = this.userTraits[key];
+        const matches = Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+        if (!matches) return false;
+      }
+    }
+
+    return true;
   }
 
   /**
-   * Handle rrweb events
+   * Work out the consent state from the stored choice, privacy signals and config
    */
-  handleRRWebEvent(event, isCheckout) {
-    // Store the raw rrweb event directly for replay
-    this.eventBuffer.push(event);
+  resolveConsent() {
+    const stored = this.loadConsent();
+    if (stored) return stored;
 
-    this.performanceData.eventCount++;
-
-    // Check if we should flush
-    if (this.eventBuffer.length >= this.config.batchSize) {
-      this.flush();
+    if (this.config.respectDoNotTrack && this.hasPrivacySignal()) {
+      return 'revoked';
     }
 
-    // Save to local storage if enabled
-    if (this.config.enableLocalStorage) {
-      this.saveEventLocal(event);
-    }
+    return this.config.requireConsent ? 'pending' : 'granted';
   }
 
   /**
-   * Attach global event listeners for custom events
+   * Check for Global Privacy Control or Do Not Track
    */
-  attachGlobalListeners() {
-    // Click tracking (for analytics beyond rrweb)
-    document.addEventListener('click', this.handleClick.bind(this), true);
-    
-    // Error tracking
-    window.addEventListener('error', this.handleError.bind(this));
-    window.addEventListener('unhandledrejection', this.handlePromiseRejection.bind(this));
-    
-    // Navigation tracking
-    this.trackNavigation();
-    
-    // Network tracking
-    this.trackNetwork();
-    
-    // Console tracking
-    this.trackConsole();
-    
-    // Page visibility
-    document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
-    
-    // Before unload - flush events
-    window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
+  hasPrivacySignal() {
+    return navigator.globalPrivacyControl === true ||
+      navigator.doNotTrack === '1' ||
+      navigator.doNotTrack === 'yes' ||
+      window.doNotTrack === '1';
   }
 
   /**
-   * Handle click events (for custom analytics)
+   * Load the visitor's persisted consent choice
    */
-  handleClick(event) {
+  loadConsent() {
     try {
-      const target = event.target;
-      const selector = this.getElementSelector(target);
-      
-      this.captureCustomEvent('click', {
-        selector,
-        text: target.textContent?.substring(0, 100), // Limit text length
-        tagName: target.tagName,
-        className: target.className,
-        id: target.id,
-        href: target.href || null,
-        coordinates: {
-          x: event.pageX,
-          y: event.pageY,
-          screenX: event.screenX,
-          screenY: event.screenY
-        }
-      });
+      const raw = localStorage.getItem(CONSENT_STORAGE_KEY);
+      if (!raw) return null;
 
-      this.performanceData.clickCount++;
+      const { state } = JSON.parse(raw);
+      return state === 'granted' || state === 'revoked' ? state : null;
     } catch (error) {
-      this.logError('Error handling click', error);
+      return null;
     }
   }
 
   /**
-   * Handle JavaScript errors
+   * Persist the visitor's consent choice
    */
-  handleError(event) {
-    this.captureError({
-      type: 'javascript_error',
-      message: event.message,
-      filename: event.filename,
-      lineno: event.lineno,
-      colno: event.colno,
-      stack: event.error?.stack,
-      timestamp: Date.now()
-    });
-
-    this.performanceData.errorCount++;
+  saveConsent(state) {
+    try {
+      localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({
+        state,
+        timestamp: Date.now()
+      }));
+    } catch (error) {
+      // Fail silently, the choice will be asked again next visit
+    }
   }
 
   /**
-   * Handle promise rejections
+   * Delete everything the SDK keeps on the device
    */
-  handlePromiseRejection(event) {
-    this.captureError({
-      type: 'unhandled_promise_rejection',
-      reason: event.reason?.toString(),
-      promise: event.promise?.toString(),
+  async purgeLocalData() {
+    if (this.config) {
+      this.clearSessionState();
+
+      // Final batches waiting for the next visit are recorded data too
+      try {
+        localStorage.removeItem(this.getUnsentStorageKey());
+        localStorage.removeItem(this.getDeliveredStorageKey());
+      } catch (error) {
+        // Fail silently
+      }
+    }
+
+    const storage = this.storage || localforage.createInstance({
+      name: this.config?.storageNamespace || 'spectraview',
+      storeName: 'events'
+    });
+    const eventStore = this.eventStore;
+
+    // Sends still in flight must not write anything back
+    this.storage = null;
+    this.eventStore = null;
+    this.outboxIndex = null;
+
+    try {
+      // After the chunk writes already queued, so none lands after the clear
+      await (eventStore ? eventStore.clear() : storage.clear());
+      await this.getKeyStore().clear();
+    } catch (error) {
+      this.logError('Failed to purge local storage', error);
+    }
+  }
+
+  /**
+   * Start a brand new session with fresh buffers and counters
+   */
+  createSession() {
+    const now = Date.now();
+
+    this.sessionId = uuidv4();
+    this.eventBuffer = [];
+    this.eventInfo = [];
+    this.customEventBuffer = [];
+    this.errorBuffer = [];
+    this.performanceData = {
+      startTime: now,
+      eventCount: 0,
+      errorCount: 0,
+      clickCount: 0
+    };
+    this.sessionState = {
+      sessionId: this.sessionId,
+      startTime: now,
+      lastActivity: now,
+      uploading: !this.config.recordOnError,
+      batchSequence: 0
+    };
+
+    // In record-on-error mode nothing is sent until the session has a problem
+    this.isBuffering = !this.sessionState.uploading;
+  }
+
+  /**
+   * Continue a persisted session from a previous page or tab
+   */
+  resumeSession(state) {
+    this.sessionId = state.sessionId;
+    this.eventBuffer = [];
+    this.eventInfo = [];
+    this.customEventBuffer = [];
+    this.errorBuffer = [];
+    this.performanceData = {
+      eventCount: 0,
+      errorCount: 0,
+      clickCount: 0,
+      ...state.stats,
+      startTime: state.startTime
+    };
+    this.sessionState = {
+      sessionId: state.sessionId,
+      startTime: state.startTime,
+      lastActivity: Date.now(),
+      uploading: state.uploading !== false || !this.config.recordOnError,
+      recording: state.recording || null,
+      batchSequence: state.batchSequence || 0
+    };
+    this.isBuffering = !this.sessionState.uploading;
+
+    this.log('Session resumed', { sessionId: this.sessionId });
+  }
+
+  /**
+   * Check whether a session is past the idle timeout or maximum duration
+   */
+  isSessionExpired(state, now) {
+    return now - state.lastActivity > this.config.sessionTimeout ||
+      now - state.startTime > this.config.maxSessionDuration;
+  }
+
+  /**
+   * Record user activity, rolling over to a new session when the current one expired
+   */
+  touchSession() {
+    if (!this.sessionState) return;
+
+    const now = Date.now();
+    if (this.isSessionExpired(this.sessionState, now)) {
+      // Other tabs share the session: it's only over if none of them used it
+      const stored = this.mergePersistedSession();
+      if (stored && stored.sessionId !== this.sessionId && !this.isSessionExpired(stored, now)) {
+        this.joinSession(stored);
+      } else if (this.isSessionExpired(this.sessionState, now)) {
+        this.rolloverSession();
+      }
+    }
+
+    this.sessionState.lastActivity = now;
+    this.persistSessionState();
+  }
+
+  /**
+   * Merge what other tabs persisted for the current session, keeping the
+   * latest activity and batch sequence. Returns the persisted state, which
+   * may be another session.
+   */
+  mergePersistedSession() {
+    const stored = this.config.persistSession ? this.loadSessionState() : null;
+    if (stored && stored.sessionId === this.sessionId) {
+      this.sessionState.lastActivity = Math.max(this.sessionState.lastActivity, stored.lastActivity);
+      this.sessionState.batchSequence = Math.max(this.sessionState.batchSequence, stored.batchSequence || 0);
+    }
+    return stored;
+  }
+
+  /**
+   * Take the session's next batch sequence. Tabs on the same session share
+   * the counter, so it's read from and written back to storage right away.
+   */
+  claimSequence() {
+    this.mergePersistedSession();
+    const sequence = this.sessionState.batchSequence++;
+    this.persistSessionState(true);
+    return sequence;
+  }
+
+  /**
+   * Continue in the session another tab rolled over to, instead of starting a third
+   */
+  joinSession(state) {
+    // Send whatever belongs to the old session before switching ids
+    if (this.sessionState.uploading) {
+      this.flush();
+    }
+
+    const wasLive = !!this.liveStream;
+    this.stopLive();
+
+    this.resumeSession(state);
+    if (state.recording?.decision === 'none') {
+      this.holdSampledOutSession();
+    }
+    if (wasLive && this.config.liveMode === 'on') {
+      this.startLive();
+    }
+
+    // The joined session needs a full snapshot of this tab to be replayable
+    if (this.stopRecordingFn) {
+      takeFullSnapshot();
+    }
+  }
+
+  /**
+   * End the current session and continue recording into a new one
+   */
+  rolloverSession() {
+    const previous = {
+      sessionId: this.sessionId,
+      lastActivity: this.sessionState.lastActivity,
+      stats: { ...this.performanceData },
+      uploading: this.sessionState.uploading,
+      recording: this.sessionState.recording
+    };
+
+    // Send whatever belongs to the old session before switching ids
+    if (previous.uploading) {
+      this.flush();
+      this.sendSessionEnd(previous.sessionId, previous.lastActivity, previous.stats);
+    }
+
+    // A live stream belongs to one session id
+    const wasLive = !!this.liveStream;
+    this.stopLive();
+
+    // Every session gets its own sampling decision
+    this.createSession();
+    this.sessionState.recording = this.decideRecording();
+    const sampled = this.sessionState.recording.decision !== 'none';
+    if (!sampled) {
+      this.holdSampledOutSession();
+    }
+    this.persistSessionState(true);
+    if (!this.isBuffering) {
+      this.sendSessionStart();
+    }
+    if (sampled && wasLive && this.config.liveMode === 'on') {
+      this.startLive();
+    }
+
+    // The new session needs its own full snapshot to be replayable
+    if (sampled && this.stopRecordingFn) {
+      takeFullSnapshot();
+    }
+
+    this.log('Session rolled over', {
+      previousSessionId: previous.sessionId,
+      sessionId: this.sessionId,
+      recording: this.sessionState.recording
+    });
+  }
+
+  /**
+   * Keep a session that sampled out mid-page off the network. The page's capture
+   * keeps running for the next session, so events go to the ring buffer as in
+   * record-on-error mode, but nothing triggers an upload.
+   */
+  holdSampledOutSession() {
+    this.sessionState.uploading = false;
+    this.isBuffering = true;
+  }
+
+  /**
+   * Get the storage key for the persisted session
+   */
+  getSessionStorageKey() {
+    return `${this.config.storageNamespace}_session_${this.config.appId}`;
+  }
+
+  /**
+   * Load the persisted session state
+   */
+  loadSessionState() {
+    try {
+      const raw = localStorage.getItem(this.getSessionStorageKey());
+      if (!raw) return null;
+
+      const state = JSON.parse(raw);
+      if (!state || !state.sessionId || !state.startTime || !state.lastActivity) {
+        return null;
+      }
+      return state;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Persist the session state (throttled unless forced)
+   */
+  persistSessionState(force = false) {
+    if (!this.config.persistSession || !this.sessionState) return;
+
+    const now = Date.now();
+    if (!force && now - this.lastSessionPersist < SESSION_PERSIST_INTERVAL) return;
+    this.lastSessionPersist = now;
+
+    // Don't overwrite a later activity written by another tab
+    this.mergePersistedSession();
+
+    try {
+      localStorage.setItem(this.getSessionStorageKey(), JSON.stringify({
+        ...this.sessionState,
+        stats: {
+          eventCount: this.performanceData.eventCount,
+          errorCount: this.performanceData.errorCount,
+          clickCount: this.performanceData.clickCount
+        }
+      }));
+    } catch (error) {
+      // Fail silently, the session just won't survive a reload
+    }
+  }
+
+  /**
+   * Remove the persisted session state
+   */
+  clearSessionState() {
+    try {
+      localStorage.removeItem(this.getSessionStorageKey());
+    } catch (error) {
+      // Fail silently
+    }
+  }
+
+  /**
+   * Initialize local storage
+   */
+  async initStorage() {
+    this.outboxIndex = null;
+    this.storage = localforage.createInstance({
+      name: this.config.storageNamespace,
+      storeName: 'events'
+    });
+
+    if (this.config.encryptLocalData) {
+      this.storage = await this.createEncryptedStorage(this.storage);
+
+      // Never fall back to keeping data in plain text
+      if (!this.storage) {
+        console.warn('[SpectraView] Encryption not available, local storage disabled');
+        this.eventStore = null;
+        return;
+      }
+    }
+
+    this.eventStore = new EventStore({
+      storage: this.storage,
+      writerId: uuidv4(),
+      maxEvents: this.config.maxLocalEvents,
+      maxBytes: this.config.maxLocalBytes,
+      maxAge: this.config.maxLocalAge,
+      staleAfter: this.config.sessionTimeout,
+      log: (...args) => this.log(...args)
+    });
+    await this.eventStore.open();
+  }
+
+  /**
+   * Wrap storage with AES-GCM encryption using this installation's key.
+   * Returns null when WebCrypto is missing or the key can't be kept.
+   */
+  async createEncryptedStorage(storage) {
+    if (!isEncryptionSupported()) return null;
+
+    try {
+      const key = await loadKey(this.getKeyStore());
+      if (!key) return null;
+
+      return createEncryptedStorage(storage, key, {
+        onDiscard: (name, error) => this.logError('Discarded local data that could not be decrypted', name, error)
+      });
+    } catch (error) {
+      this.logError('Failed to load encryption key', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the store holding the encryption key
+   */
+  getKeyStore() {
+    return localforage.createInstance({
+      name: this.config?.storageNamespace || 'spectraview',
+      storeName: 'keys'
+    });
+  }
+
+  /**
+   * Start capturing with rrweb
+   */
+  startCapture() {
+    try {
+      // One rrweb recording is shared by every client on the page
+      this.stopRecordingFn = subscribe('rrweb', (event, isCheckout) => {
+        // Sanitize per client: the recording is shared, privacy settings aren't
+        this.handleRRWebEvent(this.sanitizeReplayEvent(event), isCheckout);
+      }, {
+        // Sampling configuration
+        sampling: this.config.sampling,
+        
+        // Privacy configuration
+        maskAllInputs: this.config.maskAllInputs,
+        maskTextSelector: this.privacyRules.maskTextSelector, // '*' with maskTextContent, rrweb has no such option
+        blockClass: this.config.blockClass,
+        blockSelector: this.privacyRules.blockSelector,
+        ignoreClass: this.config.ignoreClass,
+        maskTextClass: this.config.maskTextClass,
+        
+        // Checkout configuration
+        checkoutEveryNth: 100, // Full snapshot every 100 events
+        checkoutEveryNms: this.config.recordOnError
+          ? Math.min(60000, this.config.bufferWindow) // Keeps the ring buffer trimmable
+          : 60000, // Full snapshot every minute
+        
+        // Advanced options
+        recordCanvas: this.config.recordCanvas,
+        inlineStylesheet: this.config.inlineStylesheet,
+        collectFonts: this.config.collectFonts,
+        
+        // Plugin configuration
+        plugins: []
+      });
+      
+      this.log('rrweb recording started');
+    } catch (error) {
+      this.logError('Failed to start rrweb recording', error);
+    }
+  }
+
+  /**
+   * Apply this client's privacy rules, URL sanitizer and, with redactReplay, the redactor to an rrweb event
+   */
+  sanitizeReplayEvent(event) {
+    event = applyPrivacyRules(event, this.privacyRules, rrweb.record.mirror);
+
+    if (event.type === rrweb.EventType.Meta && event.data?.href) {
+      event = { ...event, data: { ...event.data, href: this.sanitizeUrl(event.data.href) } };
+    }
+
+    // URL attributes are always sanitized, redactReplay also redacts the content
+    const redactText = this.config.redactReplay ? this.redactor.redactText : text => text;
+    return redactReplayEvent(event, redactText, url => this.sanitizeUrl(url));
+  }
+
+  /**
+   * Handle rrweb events
+   */
+  handleRRWebEvent(rawEvent, isCheckout) {
+    this.touchSession();
+
+    // Events are kept packed; their type and timestamp are kept next to them
+    // because a packed event can't be read without unpacking it
+    const event = pack(rawEvent);
+    this.eventBuffer.push(event);
+    this.eventInfo.push({ type: rawEvent.type, timestamp: rawEvent.timestamp });
+
+    this.performanceData.eventCount++;
+
+    // Record-on-error: keep a rolling window, trimmed whenever a new snapshot starts
+    if (this.isBuffering) {
+      if (rawEvent.type === rrweb.EventType.Meta) {
+        this.trimRingBuffer();
+      }
+      return;
+    }
+
+    this.liveStream?.send('rrweb', event);
+
+    // Check if we should flush
+    if (this.eventBuffer.length >= this.batching.batchSize) {
+      this.flush();
+    }
+
+    // Save to local storage if enabled
+    if (this.config.enableLocalStorage) {
+      this.saveEventLocal(event);
+    }
+  }
+
+  /**
+   * Drop buffered events that fall outside the record-on-error window.
+   * The window always starts at a checkout so the first event kept is a
+   * Meta / FullSnapshot pair and the buffer stays replayable.
+   */
+  trimRingBuffer() {
+    const cutoff = Date.now() - this.config.bufferWindow;
+
+    // Latest snapshot that is already older than the window
+    let start = 0;
+    for (let i = 0; i < this.eventInfo.length; i++) {
+      const event = this.eventInfo[i];
+      if (event.timestamp > cutoff) break;
+
+      const startsSnapshot = event.type === rrweb.EventType.Meta ||
+        (event.type === rrweb.EventType.FullSnapshot &&
+          (i === 0 || this.eventInfo[i - 1].type !== rrweb.EventType.Meta));
+      if (startsSnapshot) {
+        start = i;
+      }
+    }
+
+    if (start > 0) {
+      this.eventBuffer.splice(0, start);
+      this.eventInfo.splice(0, start);
+    }
+
+    // Custom events older than the replay window are useless without it
+    const windowStart = this.config.recordDOM && this.eventInfo.length > 0
+      ? this.eventInfo[0].timestamp
+      : cutoff;
+    const firstKept = this.customEventBuffer.findIndex(event => event.timestamp >= windowStart);
+    if (firstKept === -1) {
+      this.customEventBuffer = [];
+    } else if (firstKept > 0) {
+      this.customEventBuffer.splice(0, firstKept);
+    }
+  }
+
+  /**
+   * Public API: Upload the record-on-error window and continue in normal mode
+   */
+  triggerUpload(reason = 'manual') {
+    if (!this.isRecording || this.sessionState.recording?.decision === 'none') return;
+
+    if (this.isBuffering) {
+      this.isBuffering = false;
+      this.sessionState.uploading = true;
+      this.persistSessionState(true);
+
+      this.sendSessionStart();
+      this.captureCustomEvent('upload_triggered', { reason });
+      this.log('Upload triggered', { reason });
+
+      if (this.config.liveMode === 'on') {
+        this.startLive();
+      }
+    }
+
+    this.flush();
+  }
+
+  /**
+   * Attach global event listeners for custom events
+   */
+  attachGlobalListeners() {
+    // Click tracking (for analytics beyond rrweb)
+    if (this.config.captureClicks) {
+      this.addListener(document, 'click', this.handleClick.bind(this), true);
+    }
+    
+    // Error tracking
+    this.addListener(window, 'error', this.handleError.bind(this));
+    this.addListener(window, 'unhandledrejection', this.handlePromiseRejection.bind(this));
+    
+    // Navigation tracking
+    if (this.config.captureNavigation) {
+      this.trackNavigation();
+    }
+    
+    // Masked field values, so they can be kept out of network and console capture
+    if (this.config.captureNetwork || this.config.captureConsole) {
+      const trackMaskedValue = this.trackMaskedValue.bind(this);
+      this.addListener(document, 'input', trackMaskedValue, true);
+      this.addListener(document, 'change', trackMaskedValue, true);
+    }
+    
+    // Network tracking
+    if (this.config.captureNetwork) {
+      this.trackNetwork();
+    }
+    
+    // Console tracking
+    if (this.config.captureConsole) {
+      this.trackConsole();
+    }
+    
+    // Page visibility
+    this.addListener(document, 'visibilitychange', this.handleVisibilityChange.bind(this));
+    
+    // Before unload - flush events
+    this.addListener(window, 'beforeunload', this.handleBeforeUnload.bind(this));
+    
+    // Connectivity - suspend uploads while offline, send everything when back
+    const handleNetworkChange = this.handleNetworkChange.bind(this);
+    this.addListener(window, 'online', handleNetworkChange);
+    this.addListener(window, 'offline', handleNetworkChange);
+
+    const connection = getConnection();
+    if (connection && typeof connection.addEventListener === 'function') {
+      this.addListener(connection, 'change', handleNetworkChange);
+    }
+  }
+
+  /**
+   * Add an event listener that is removed again on stop()
+   */
+  addListener(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  /**
+   * Remove every listener added through addListener()
+   */
+  removeListeners() {
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+  }
+
+  /**
+   * Subscribe to a shared instrumentation source, unsubscribed on stop()
+   */
+  subscribeInstrumentation(source, handler) {
+    const unsubscribe = subscribe(source, (...args) => {
+      if (this.isCapturing()) {
+        handler(...args);
+      }
+    });
+    this.unsubscribeFns.push(unsubscribe);
+  }
+
+  /**
+   * Leave every shared instrumentation source; the last client restores the originals
+   */
+  removeInstrumentation() {
+    while (this.unsubscribeFns.length > 0) {
+      this.unsubscribeFns.pop()();
+    }
+  }
+
+  /**
+   * Whether automatic capture sources should record right now
+   */
+  isCapturing() {
+    return this.isRecording && !this.isPaused;
+  }
+
+  /**
+   * Handle click events (for custom analytics)
+   */
+  handleClick(event) {
+    if (!this.isCapturing()) return;
+
+    try {
+      const target = event.target;
+      const selector = this.getElementSelector(target);
+      const captureText = this.config.captureClickText && !this.privacyRules.isBlocked(target);
+      // Built child by child, a blocked or masked child keeps its text private
+      const text = captureText ? getPrivateText(target, this.privacyRules, 100) : undefined; // Limit text length
+      
+      this.captureCustomEvent('click', {
+        selector,
+        text,
+        tagName: target.tagName,
+        className: target.className,
+        id: target.id,
+        href: this.sanitizeUrl(target.href) || null,
+        coordinates: {
+          x: event.pageX,
+          y: event.pageY,
+          screenX: event.screenX,
+          screenY: event.screenY
+        }
+      });
+
+      this.performanceData.clickCount++;
+    } catch (error) {
+      this.logError('Error handling click', error);
+    }
+  }
+
+  /**
+   * Handle JavaScript errors
+   */
+  handleError(event) {
+    this.captureError({
+      type: 'javascript_error',
+      message: event.message,
+      filename: event.filename,
+      lineno: event.lineno,
+      colno: event.colno,
+      stack: event.error?.stack,
+      timestamp: Date.now()
+    });
+
+    this.performanceData.errorCount++;
+  }
+
+  /**
+   * Handle promise rejections
+   */
+  handlePromiseRejection(event) {
+    this.captureError({
+      type: 'unhandled_promise_rejection',
+      reason: event.reason?.toString(),
+      promise: event.promise?.toString(),
       timestamp: Date.now()
     });
 
@@ -301,368 +1448,831 @@ class SpectraViewSDK {
    * Track navigation events
    */
   trackNavigation() {
-    // Track pushState
-    const originalPushState = history.pushState;
-    history.pushState = (...args) => {
-      this.captureCustomEvent('navigation', {
-        type: 'pushState',
-        url: args[2],
-        state: args[0]
-      });
-      return originalPushState.apply(history, args);
-    };
-
-    // Track replaceState
-    const originalReplaceState = history.replaceState;
-    history.replaceState = (...args) => {
-      this.captureCustomEvent('navigation', {
-        type: 'replaceState',
-        url: args[2],
-        state: args[0]
-      });
-      return originalReplaceState.apply(history, args);
-    };
+    // Track pushState and replaceState
+    this.subscribeInstrumentation('navigation', data => {
+      this.captureCustomEvent('navigation', { ...data, url: this.sanitizeUrl(data.url) });
+    });
 
     // Track popstate
-    window.addEventListener('popstate', (event) => {
+    this.addListener(window, 'popstate', (event) => {
+      if (!this.isCapturing()) return;
       this.captureCustomEvent('navigation', {
         type: 'popstate',
-        url: window.location.href,
+        url: this.sanitizeUrl(window.location.href),
         state: event.state
       });
     });
 
     // Track hash changes
-    window.addEventListener('hashchange', (event) => {
+    this.addListener(window, 'hashchange', (event) => {
+      if (!this.isCapturing()) return;
       this.captureCustomEvent('navigation', {
         type: 'hashchange',
-        oldURL: event.oldURL,
-        newURL: event.newURL
+        oldURL: this.sanitizeUrl(event.oldURL),
+        newURL: this.sanitizeUrl(event.newURL)
       });
     });
   }
 
   /**
-   * Track network requests
+   * Track network requests (fetch and XMLHttpRequest)
+   */
+  trackNetwork() {
+    this.subscribeInstrumentation('network', data => {
+      this.captureCustomEvent('network', { ...data, url: this.sanitizeUrl(this.hideMaskedValues(data.url)) });
+    });
+  }
+
+  /**
+   * Track console events
+   */
+  trackConsole() {
+    this.subscribeInstrumentation('console', data => {
+      this.captureCustomEvent('console', { ...data, message: this.hideMaskedValues(data.message) });
+    });
+  }
+
+  /**
+   * Handle visibility change
+   */
+  handleVisibilityChange() {
+    this.captureCustomEvent('visibility', {
+      state: document.visibilityState,
+      hidden: document.hidden
+    });
+
+    // Flush events when page becomes hidden
+    if (document.hidden) {
+      this.persistSessionState(true);
+      this.flush();
+    }
+  }
+
+  /**
+   * Handle before unload
+   */
+  handleBeforeUnload() {
+    // Keep the session alive for the next page load
+    this.persistSessionState(true);
+
+    // Synchronous flush through the unload transport
+    this.flushSync();
+  }
+
+  /**
+   * Capture custom event
+   */
+  captureCustomEvent(eventType, data) {
+    this.touchSession();
+
+    const event = {
+      type: 'custom',
+      eventType,
+      data: this.sanitizeData(data),
+      timestamp: Date.now(),
+      sessionId: this.sessionId,
+      context: {
+        url: this.sanitizeUrl(window.location.href),
+        userAgent: navigator.userAgent,
+        viewport: {
+          width: window.innerWidth,
+          height: window.innerHeight
+        }
+      }
+    };
+
+    this.runProcessors(event, 'custom', this.config?.beforeSendCustomEvent, processed => {
+      if (processed) {
+        this.addCustomEvent(processed);
+      }
+    });
+  }
+
+  /**
+   * Add a processed custom event to the buffer
+   */
+  addCustomEvent(event) {
+    this.customEventBuffer.push(event);
+
+    if (this.isBuffering) {
+      if (this.config.triggerEvents.includes(event.eventType)) {
+        this.triggerUpload(event.eventType);
+      } else {
+        this.trimRingBuffer();
+      }
+      return;
+    }
+
+    this.liveStream?.send('custom', event);
+
+    // Check if we should flush
+    if (this.customEventBuffer.length >= 10) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Capture error
+   */
+  captureError(errorData) {
+    const error = {
+      ...errorData,
+      ...(errorData.filename && { filename: this.sanitizeUrl(errorData.filename) }),
+      // Stack frames and rejection reasons name script URLs, inline scripts the page's own
+      ...(errorData.stack && { stack: this.urlSanitizer.sanitizeText(errorData.stack) }),
+      ...(errorData.reason && { reason: this.urlSanitizer.sanitizeText(errorData.reason) }),
+      sessionId: this.sessionId,
+      timestamp: errorData.timestamp || Date.now(),
+      context: {
+        url: this.sanitizeUrl(window.location.href),
+        userAgent: navigator.userAgent
+      }
+    };
+
+    this.runProcessors(error, 'error', this.config?.beforeSendError, processed => {
+      if (processed) {
+        this.addError(processed);
+      }
+    });
+  }
+
+  /**
+   * Add a processed error to the buffer
+   */
+  addError(error) {
+    this.errorBuffer.push(error);
+
+    // An error is what record-on-error mode has been waiting for
+    if (this.isBuffering) {
+      this.triggerUpload('error');
+      return;
+    }
+
+    this.liveStream?.send('error', error);
+
+    // Errors should be sent immediately
+    this.flush();
+  }
+
+  /**
+   * Run an event through the registered processors and then the config hook.
+   * Stays synchronous while every processor returns a plain value, so the
+   * common case adds the event immediately. A processor that returns a
+   * promise is awaited up to processorTimeout; if it rejects, throws or times
+   * out, the event continues as it was before that processor.
+   * The callback receives the final event, or null when it was dropped.
+   */
+  runProcessors(item, kind, hook, callback) {
+    const processors = hook ? [...this.eventProcessors, hook] : [...this.eventProcessors];
+    const timeout = this.config?.processorTimeout || 1000;
+    const hint = { kind };
+    let index = 0;
+
+    const next = (current) => {
+      while (current && index < processors.length) {
+        const processor = processors[index++];
+        let result;
+
+        try {
+          result = processor(current, hint);
+        } catch (error) {
+          this.logError('Event processor failed', error);
+          result = current;
+        }
+
+        if (isThenable(result)) {
+          const previous = current;
+          withTimeout(Promise.resolve(result), timeout)
+            .catch(error => {
+              this.logError('Event processor failed', error);
+              return previous;
+            })
+            .then(next);
+          return;
+        }
+
+        current = result;
+      }
+
+      callback(current || null);
+    };
+
+    next(item);
+  }
+
+  /**
+   * Run a batch through beforeSendBatch (may return a promise)
+   */
+  applyBatchHook(batch) {
+    const hook = this.config.beforeSendBatch;
+    if (!hook) return batch;
+
+    try {
+      const result = hook(batch);
+      if (!isThenable(result)) return result || null;
+
+      return withTimeout(Promise.resolve(result), this.config.processorTimeout)
+        .then(processed => processed || null)
+        .catch(error => {
+          this.logError('beforeSendBatch failed', error);
+          return batch;
+        });
+    } catch (error) {
+      this.logError('beforeSendBatch failed', error);
+      return batch;
+    }
+  }
+
+  /**
+   * Setup timers for batching and heartbeat
+   */
+  setupTimers() {
+    this.startBatchTimer();
+
+    // Heartbeat timer
+    this.heartbeatTimer = setInterval(() => {
+      this.sendHeartbeat();
+    }, 60000); // Every minute
+  }
+
+  /**
+   * Start (or restart) the batch timer with the current flush interval
+   */
+  startBatchTimer() {
+    clearInterval(this.batchTimer);
+    this.batchTimer = setInterval(() => {
+      if (this.eventBuffer.length > 0 || this.customEventBuffer.length > 0) {
+        this.flush();
+      }
+    }, this.batching.flushInterval);
+  }
+
+  /**
+   * Read the network conditions and adapt batching to them
+   */
+  updateNetworkConditions() {
+    this.network = getNetworkConditions();
+    this.batching = this.config.adaptToNetwork
+      ? getBatchingSettings(this.config, this.network)
+      : { batchSize: this.config.batchSize, flushInterval: this.config.flushInterval };
+  }
+
+  /**
+   * Handle online/offline events and connection changes
+   */
+  handleNetworkChange(event) {
+    const wasOnline = this.network.online;
+    const { flushInterval } = this.batching;
+    this.updateNetworkConditions();
+
+    if (this.batchTimer && this.batching.flushInterval !== flushInterval) {
+      this.startBatchTimer();
+    }
+
+    this.log('Network changed', this.network, this.batching);
+
+    if (event?.type === 'online' || (!wasOnline && this.network.online)) {
+      // Queued batches are older, send them first without waiting for their backoff
+      this.drainOutbox({ force: true });
+      this.flush();
+    }
+  }
+
+  /**
+   * Flush events to server. Batches are sent one at a time in sequence
+   * order; a flush requested while another is in flight is queued behind it.
+   */
+  flush() {
+    if (!this.isRecording || this.isBuffering) return Promise.resolve();
+
+    // Offline without durable storage: keep buffering until the connection is back
+    if (!this.network.online && !this.storage) return Promise.resolve();
+
+    // Failed batches are retried first, with their original sequence and key
+    this.flushQueue.push(...this.retryQueue.splice(0), ...this.takeBatches(this.config.maxPayloadBytes));
+
+    if (!this.flushPromise && this.flushQueue.length > 0) {
+      this.flushPromise = this.processFlushQueue();
+    }
+    return this.flushPromise || Promise.resolve();
+  }
+
+  /**
+   * Take the buffered events as the session's next batches, split so each
+   * stays within maxBytes
+   */
+  takeBatches(maxBytes) {
+    const events = [...this.eventBuffer];
+    const eventInfo = [...this.eventInfo];
+    const customEvents = [...this.customEventBuffer];
+    const errors = [...this.errorBuffer];
+
+    if (events.length === 0 && customEvents.length === 0 && errors.length === 0) {
+      return [];
+    }
+
+    // Only clear buffers if we have an API endpoint
+    // Keep events for replay in offline mode
+    if (this.getApiEndpoint()) {
+      this.eventBuffer = [];
+      this.eventInfo = [];
+      this.customEventBuffer = [];
+      this.errorBuffer = [];
+    }
+
+    // Local chunks holding these events, marked synced once the last batch is handled
+    const chunkKeys = this.eventStore ? this.eventStore.seal() : [];
+
+    // The sequence survives reloads with the session so the server can order batches
+    const chunks = splitBatch({ events, customEvents, errors }, maxBytes);
+    let offset = 0;
+    const batches = chunks.map((chunk, index) => {
+      // Packed events can't be read, their timestamps come from eventInfo
+      const times = eventInfo.slice(offset, offset += chunk.events.length);
+      return {
+        sessionId: this.sessionId,
+        sequence: this.claimSequence(),
+        idempotencyKey: uuidv4(),
+        chunkKeys: index === chunks.length - 1 ? chunkKeys : [],
+        firstEventTimestamp: times.length > 0 ? times[0].timestamp : null,
+        lastEventTimestamp: times.length > 0 ? times[times.length - 1].timestamp : null,
+        ...chunk
+      };
+    });
+    this.persistSessionState(true);
+
+    return batches;
+  }
+
+  /**
+   * Send queued batches until the queue is empty
+   */
+  async processFlushQueue() {
+    try {
+      while (this.flushQueue.length > 0 && this.consentState !== 'revoked') {
+        await this.sendQueuedBatch(this.flushQueue.shift());
+      }
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+
+  /**
+   * Send one batch taken by flush(), moving it to the outbox on failure.
+   * A batch that failed before carries its payload and is sent as it was.
+   */
+  async sendQueuedBatch(queued) {
+    const { sessionId, sequence, idempotencyKey, chunkKeys = [], firstEventTimestamp, lastEventTimestamp } = queued;
+    let payload = queued.payload || null;
+    // Whether the batch was delivered, queued in the outbox or deliberately dropped
+    let settled = true;
+
+    try {
+      if (!payload) {
+        // Let beforeSendBatch rewrite or drop the batch
+        const batch = await this.applyBatchHook({
+          sessionId,
+          events: queued.events,
+          customEvents: queued.customEvents,
+          errors: queued.errors
+        });
+        if (!batch) {
+          this.log('Batch dropped by beforeSendBatch');
+          return;
+        }
+        const { events = [], customEvents = [], errors = [] } = batch;
+
+        // Prepare payload
+        payload = this.buildBatchPayload({
+          sessionId, sequence, idempotencyKey, firstEventTimestamp, lastEventTimestamp, events, customEvents, errors
+        }, {
+          eventCount: events.length,
+          customEventCount: customEvents.length,
+          errorCount: errors.length
+        });
+      }
+      const { events, customEvents, errors } = payload;
+
+      // Send to server (skip if no endpoint)
+      const endpoint = this.getApiEndpoint();
+      if (endpoint && !this.network.online) {
+        // Don't even try: the outbox sends it when the connection is back
+        settled = await this.saveFailedBatch(payload, Date.now());
+        this.log('Offline, batch queued until the connection is back');
+        return;
+      } else if (endpoint) {
+        const result = await this.sendBatch(payload);
+
+        if (!result.ok && !result.retryable) {
+          this.logError('Batch rejected by server, dropping it', describeFailure(result));
+          return;
+        }
+
+        if (!result.ok) {
+          throw new Error(describeFailure(result));
+        }
+      } else {
+        // Running in offline mode, just log
+        this.log('Offline mode: would send', payload.metadata);
+      }
+
+      this.log(`Flushed ${events.length} events, ${customEvents.length} custom events, ${errors.length} errors`);
+    } catch (error) {
+      this.logError('Failed to flush events', error);
+      
+      if (this.consentState === 'revoked') {
+        // Consent was revoked while it was being sent: it's discarded too
+      } else if (payload && this.storage) {
+        // Persist to the outbox, retried with backoff and on the next page load
+        settled = await this.saveFailedBatch(payload);
+      } else if (payload) {
+        // No durable storage: keep it in memory, retried on the next flush
+        this.retryQueue.push({ sessionId, sequence, idempotencyKey, payload });
+      }
+    } finally {
+      // The local copy is no longer needed
+      if (settled && this.eventStore) {
+        await this.eventStore.markSynced(chunkKeys);
+        await this.clearSyncedEvents();
+      }
+    }
+  }
+
+  /**
+   * Synchronous flush through the unload transport (sendBeacon by default)
+   */
+  flushSync() {
+    if (!this.isRecording || this.isBuffering || !this.getApiEndpoint()) return;
+
+    // Beacons and keepalive requests have a hard size limit
+    const maxBytes = ['beacon', 'keepalive'].includes(this.unloadTransport.name)
+      ? Math.min(this.config.maxPayloadBytes, UNLOAD_MAX_PAYLOAD_BYTES)
+      : this.config.maxPayloadBytes;
+
+    // Batches still waiting behind an in-flight flush go first, in sequence order
+    const batches = [...this.retryQueue.splice(0), ...this.flushQueue.splice(0), ...this.takeBatches(maxBytes)];
+
+    // With encryption the chunks are the only local copy: start writing the
+    // events still waiting for the write delay, in case the page lives long enough
+    if (this.config.encryptLocalData) {
+      this.eventStore?.flush();
+    }
+
+    batches.forEach(batch => this.sendBatchSync(batch));
+  }
+
+  /**
+   * Send one batch during page unload
    */
-  trackNetwork() {
-    // Intercept fetch
-    const originalFetch = window.fetch;
-    window.fetch = async (...args) => {
-      const startTime = performance.now();
-      const [resource, config] = args;
-      
-      try {
-        const response = await originalFetch(...args);
-        const duration = performance.now() - startTime;
-        
-        // Only track API calls, not assets
-        if (typeof resource === 'string' && !resource.match(/\.(js|css|png|jpg|jpeg|gif|svg|woff|woff2|ttf|eot)$/i)) {
-          this.captureCustomEvent('network', {
-            type: 'fetch',
-            url: resource,
-            method: config?.method || 'GET',
-            status: response.status,
-            duration,
-            ok: response.ok
-          });
+  sendBatchSync(queued) {
+    const { sessionId, sequence, idempotencyKey, chunkKeys = [], firstEventTimestamp, lastEventTimestamp } = queued;
+    let { events, customEvents, errors } = queued;
+
+    try {
+      let payload = queued.payload;
+      if (!payload) {
+        // The page is going away, so only a synchronous beforeSendBatch can apply
+        const batch = this.applyBatchHook({ sessionId, events, customEvents, errors });
+        if (isThenable(batch)) {
+          this.log('beforeSendBatch is async, sending final batch unprocessed');
+        } else if (!batch) {
+          this.log('Batch dropped by beforeSendBatch');
+          return;
+        } else {
+          ({ events = [], customEvents = [], errors = [] } = batch);
         }
-        
-        return response;
-      } catch (error) {
-        this.captureCustomEvent('network', {
-          type: 'fetch',
-          url: resource,
-          method: config?.method || 'GET',
-          error: error.message,
-          duration: performance.now() - startTime
-        });
-        throw error;
+
+        payload = this.buildBatchPayload(
+          { sessionId, sequence, idempotencyKey, firstEventTimestamp, lastEventTimestamp, events, customEvents, errors },
+          { final: true }
+        );
       }
-    };
 
-    // Intercept XMLHttpRequest
-    const originalOpen = XMLHttpRequest.prototype.open;
-    const originalSend = XMLHttpRequest.prototype.send;
-    
-    XMLHttpRequest.prototype.open = function(...args) {
-      this._spectraview = {
-        method: args[0],
-        url: args[1],
-        startTime: null
-      };
-      return originalOpen.apply(this, args);
-    };
-    
-    XMLHttpRequest.prototype.send = function(...args) {
-      if (this._spectraview) {
-        this._spectraview.startTime = performance.now();
-        
-        this.addEventListener('load', () => {
-          const duration = performance.now() - this._spectraview.startTime;
-          
-          // Only track API calls
-          if (!this._spectraview.url.match(/\.(js|css|png|jpg|jpeg|gif|svg|woff|woff2|ttf|eot)$/i)) {
-            window.SpectraView?.captureCustomEvent('network', {
-              type: 'xhr',
-              url: this._spectraview.url,
-              method: this._spectraview.method,
-              status: this.status,
-              duration
-            });
+      // Kept until delivery is confirmed, the page may be gone before that.
+      // Encrypting is async and can't finish during unload, so with encryption
+      // on the local chunks stay unsynced and crash recovery sends them instead.
+      const kept = !this.config.encryptLocalData && this.saveUnsentBatch(payload, chunkKeys);
+      if (kept) {
+        this.eventStore?.markSynced(chunkKeys);
+      }
+
+      if (!this.network.online) {
+        this.log('Offline, final batch kept for the next page load');
+        return;
+      }
+
+      // Without a valid token the server would reject it
+      if (this.config.getAuthToken && !this.getCachedAuthToken(0)) {
+        this.log('No valid auth token, final batch kept for the next page load');
+        return;
+      }
+
+      // The transport starts the request synchronously, before the page goes away
+      this.sendBatch(payload, this.unloadTransport, { sync: true })
+        .then(result => {
+          // Beacons are refused when too large or when the browser's queue is full
+          if (!result.ok && this.unloadTransport.name === 'beacon') {
+            return this.sendBatch(payload, this.keepaliveTransport, { sync: true });
+          }
+          return result;
+        })
+        .then(result => {
+          // Rejected credentials don't mean the batch is bad: keep it for the next page load
+          if (result.ok || (!result.retryable && result.status !== 401)) {
+            this.saveDeliveredChunks(chunkKeys);
+            this.removeUnsentBatch(payload.idempotencyKey);
+            this.eventStore?.markSynced(chunkKeys);
+          }
+          if (!result.ok) {
+            this.logError('Failed to send final batch', describeFailure(result));
           }
         });
-        
-        this.addEventListener('error', () => {
-          window.SpectraView?.captureCustomEvent('network', {
-            type: 'xhr',
-            url: this._spectraview.url,
-            method: this._spectraview.method,
-            error: 'Network error',
-            duration: performance.now() - this._spectraview.startTime
-          });
-        });
-      }
       
-      return originalSend.apply(this, args);
-    };
+      this.log('Sent final batch');
+    } catch (error) {
+      this.logError('Failed to send final batch', error);
+    }
   }
 
   /**
-   * Track console events
+   * Send a batch payload with its sequence and idempotency headers, so the
+   * server can drop retried duplicates and put batches back in order.
+   * With `sync` the request is started before this returns (page unload).
    */
-  trackConsole() {
-    const methods = ['log', 'info', 'warn', 'error', 'debug'];
-    
-    methods.forEach(method => {
-      const original = console[method];
-      console[method] = (...args) => {
-        // Don't track our own logs
-        if (!args[0]?.toString().includes('[SpectraView]')) {
-          this.captureCustomEvent('console', {
-            level: method,
-            message: args.map(arg => {
-              try {
-                return typeof arg === 'object' ? JSON.stringify(arg) : String(arg);
-              } catch {
-                return String(arg);
-              }
-            }).join(' ').substring(0, 1000) // Limit message length
-          });
-        }
-        
-        return original.apply(console, args);
-      };
-    });
-  }
+  sendBatch(payload, transport = this.transport, { sync = false } = {}) {
+    const path = `/sessions/${payload.sessionId}/events`;
+    const headers = {};
+    if (payload.idempotencyKey) {
+      headers['Idempotency-Key'] = payload.idempotencyKey;
+    }
+    if (payload.sequence !== undefined && payload.sequence !== null) {
+      headers['X-Batch-Sequence'] = String(payload.sequence);
+    }
 
-  /**
-   * Handle visibility change
-   */
-  handleVisibilityChange() {
-    this.captureCustomEvent('visibility', {
-      state: document.visibilityState,
-      hidden: document.hidden
+    // Batches queued by older versions already carry base64 events
+    if (!this.useBinaryPayload(transport) || !Array.isArray(payload.events)) {
+      return this.sendRequest(path, {
+        payload: Array.isArray(payload.events)
+          ? { ...payload, events: this.compressEvents(payload.events) }
+          : payload,
+        sessionId: payload.sessionId,
+        headers,
+        transport,
+        sync
+      });
+    }
+
+    const sendBinary = body => this.sendRequest(path, {
+      body,
+      sessionId: payload.sessionId,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/octet-stream',
+        'Content-Encoding': 'gzip'
+      },
+      transport,
+      sync
+    }).then(result => {
+      if (result.status !== 415) return result;
+
+      // The server doesn't take binary batches: use JSON from now on
+      this.log('Binary payloads not supported by server, falling back to JSON');
+      this.binaryRejected = true;
+      return this.sendBatch(payload, transport, { sync });
     });
 
-    // Flush events when page becomes hidden
-    if (document.hidden) {
-      this.flush();
+    const json = JSON.stringify(payload);
+    if (sync) {
+      return sendBinary(gzipSync(json));
     }
+    return gzip(json).then(sendBinary, () => sendBinary(gzipSync(json)));
   }
 
   /**
-   * Handle before unload
+   * Whether batches go out as a gzipped binary body. Beacons can't set
+   * Content-Encoding, so they always use JSON.
    */
-  handleBeforeUnload() {
-    // Synchronous flush using sendBeacon
-    this.flushSync();
+  useBinaryPayload(transport) {
+    return this.config.payloadFormat === 'binary' &&
+      !this.binaryRejected &&
+      transport.name !== 'beacon';
   }
 
   /**
-   * Capture custom event
+   * Get the storage key for final batches not confirmed as sent
    */
-  captureCustomEvent(eventType, data) {
-    const event = {
-      type: 'custom',
-      eventType,
-      data: this.sanitizeData(data),
-      timestamp: Date.now(),
-      sessionId: this.sessionId,
-      context: {
-        url: window.location.href,
-        userAgent: navigator.userAgent,
-        viewport: {
-          width: window.innerWidth,
-          height: window.innerHeight
-        }
-      }
-    };
-
-    this.customEventBuffer.push(event);
+  getUnsentStorageKey() {
+    return `${this.config.storageNamespace}_unsent_${this.config.appId}`;
+  }
 
-    // Check if we should flush
-    if (this.customEventBuffer.length >= 10) {
-      this.flush();
+  /**
+   * Load final batches not confirmed as sent
+   */
+  loadUnsentBatches() {
+    try {
+      const batches = JSON.parse(localStorage.getItem(this.getUnsentStorageKey()));
+      return Array.isArray(batches) ? batches : [];
+    } catch (error) {
+      return [];
     }
   }
 
   /**
-   * Capture error
+   * Keep a final batch in localStorage, which unlike IndexedDB is written
+   * synchronously and so survives the page unloading. The keys of the local
+   * chunks it covers go with it, in case marking them synced doesn't finish.
    */
-  captureError(errorData) {
-    const error = {
-      ...errorData,
-      sessionId: this.sessionId,
-      timestamp: errorData.timestamp || Date.now(),
-      context: {
-        url: window.location.href,
-        userAgent: navigator.userAgent
-      }
-    };
-
-    this.errorBuffer.push(error);
+  saveUnsentBatch(payload, chunkKeys = []) {
+    const batches = [
+      ...this.loadUnsentBatches(),
+      chunkKeys.length > 0 ? { ...payload, chunkKeys } : payload
+    ];
 
-    // Errors should be sent immediately
-    this.flush();
+    while (batches.length > 0) {
+      try {
+        localStorage.setItem(this.getUnsentStorageKey(), JSON.stringify(batches));
+        return true;
+      } catch (error) {
+        // Over quota: drop the oldest
+        batches.shift();
+      }
+    }
+    return false;
   }
 
   /**
-   * Setup timers for batching and heartbeat
+   * Forget a final batch once it was delivered
    */
-  setupTimers() {
-    // Batch timer
-    this.batchTimer = setInterval(() => {
-      if (this.eventBuffer.length > 0 || this.customEventBuffer.length > 0) {
-        this.flush();
+  removeUnsentBatch(idempotencyKey) {
+    const batches = this.loadUnsentBatches();
+    const remaining = batches.filter(batch => batch.idempotencyKey !== idempotencyKey);
+    if (remaining.length === batches.length) return;
+
+    try {
+      if (remaining.length > 0) {
+        localStorage.setItem(this.getUnsentStorageKey(), JSON.stringify(remaining));
+      } else {
+        localStorage.removeItem(this.getUnsentStorageKey());
       }
-    }, this.config.flushInterval);
+    } catch (error) {
+      // Fail silently, the server drops the duplicate by its idempotency key
+    }
+  }
 
-    // Heartbeat timer
-    this.heartbeatTimer = setInterval(() => {
-      this.sendHeartbeat();
-    }, 60000); // Every minute
+  /**
+   * Get the storage key for local chunks whose final batch was delivered
+   */
+  getDeliveredStorageKey() {
+    return `${this.config.storageNamespace}_delivered_${this.config.appId}`;
   }
 
   /**
-   * Flush events to server
+   * Load the keys of local chunks whose final batch was delivered
    */
-  async flush() {
-    if (!this.isRecording) return;
+  loadDeliveredChunks() {
+    try {
+      const keys = JSON.parse(localStorage.getItem(this.getDeliveredStorageKey()));
+      return Array.isArray(keys) ? keys : [];
+    } catch (error) {
+      return [];
+    }
+  }
 
-    const events = [...this.eventBuffer];
-    const customEvents = [...this.customEventBuffer];
-    const errors = [...this.errorBuffer];
+  /**
+   * Remember the chunks of a delivered final batch. Marking them synced is an
+   * IndexedDB write that rarely finishes during unload, and without this the
+   * next page load would recover them as a duplicate of the batch.
+   */
+  saveDeliveredChunks(chunkKeys) {
+    if (chunkKeys.length === 0) return;
 
-    if (events.length === 0 && customEvents.length === 0 && errors.length === 0) {
-      return;
+    try {
+      localStorage.setItem(this.getDeliveredStorageKey(), JSON.stringify([...this.loadDeliveredChunks(), ...chunkKeys]));
+    } catch (error) {
+      // Fail silently, the chunks are recovered and the server gets them twice
     }
+  }
 
-    // Only clear buffers if we have an API endpoint
-    // Keep events for replay in offline mode
-    const endpoint = this.getApiEndpoint();
-    if (endpoint) {
-      this.eventBuffer = [];
-      this.customEventBuffer = [];
-      this.errorBuffer = [];
-    }
+  /**
+   * Move final batches from the last visit into the outbox, or send them
+   * right away when there is no durable storage
+   */
+  async restoreUnsentBatches() {
+    const batches = this.loadUnsentBatches();
+    if (batches.length === 0 || (!this.storage && !this.getApiEndpoint())) return;
 
     try {
-      // Prepare payload
-      const payload = {
-        sessionId: this.sessionId,
-        userId: this.userId,
-        appId: this.config.appId,
-        events: this.compressEvents(events),
-        customEvents,
-        errors,
-        metadata: {
-          timestamp: Date.now(),
-          eventCount: events.length,
-          customEventCount: customEvents.length,
-          errorCount: errors.length
-        }
-      };
+      localStorage.removeItem(this.getUnsentStorageKey());
+    } catch (error) {
+      return;
+    }
 
-      // Send to server (skip if no endpoint)
-      const endpoint = this.getApiEndpoint();
-      if (endpoint) {
-        const response = await fetch(`${endpoint}/sessions/${this.sessionId}/events`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-API-Key': this.config.apiKey,
-            'X-Session-ID': this.sessionId
-          },
-          body: JSON.stringify(payload)
-        });
+    const handedOff = [];
+    for (const { chunkKeys = [], ...payload } of batches) {
+      handedOff.push(...chunkKeys);
 
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
+      if (this.storage) {
+        await this.saveFailedBatch(payload, Date.now());
       } else {
-        // Running in offline mode, just log
-        this.log('Offline mode: would send', payload.metadata);
-      }
-
-      this.log(`Flushed ${events.length} events, ${customEvents.length} custom events, ${errors.length} errors`);
-      
-      // Clear local storage for these events
-      if (this.config.enableLocalStorage) {
-        await this.clearSyncedEvents();
-      }
-    } catch (error) {
-      this.logError('Failed to flush events', error);
-      
-      // Re-add events to buffer for retry
-      this.eventBuffer.unshift(...events);
-      this.customEventBuffer.unshift(...customEvents);
-      this.errorBuffer.unshift(...errors);
-      
-      // Save to local storage for later retry
-      if (this.config.enableLocalStorage) {
-        await this.saveFailedBatch({ events, customEvents, errors });
+        this.sendBatch(payload);
       }
     }
+
+    // Those events are in the batches now, they must not be recovered again
+    await this.eventStore?.removeForeign(handedOff);
   }
 
   /**
-   * Synchronous flush using sendBeacon (for page unload)
+   * Upload events left in local storage by pages that crashed or were killed
+   * to their original sessions, flagged as recovered, and send the /end those
+   * sessions never got. Recovered batches go through the outbox.
    */
-  flushSync() {
-    if (!this.isRecording) return;
-
-    const events = [...this.eventBuffer];
-    const customEvents = [...this.customEventBuffer];
-    const errors = [...this.errorBuffer];
-
-    if (events.length === 0 && customEvents.length === 0 && errors.length === 0) {
-      return;
-    }
+  async recoverSessions(endedSession = null) {
+    if (!this.eventStore || !this.getApiEndpoint()) return;
 
     try {
-      const payload = {
-        sessionId: this.sessionId,
-        userId: this.userId,
-        appId: this.config.appId,
-        events: this.compressEvents(events),
-        customEvents,
-        errors,
-        metadata: {
-          timestamp: Date.now(),
-          final: true
+      // Chunks already delivered in a final batch are deleted, not recovered
+      const delivered = this.loadDeliveredChunks();
+      localStorage.removeItem(this.getDeliveredStorageKey());
+      await this.eventStore.removeForeign(delivered);
+
+      const chunks = await this.eventStore.getAbandoned();
+      const sessions = new Map();
+      const recovered = [];
+
+      for (const chunk of chunks) {
+        const events = await this.eventStore.readChunk(chunk.key);
+        const parts = splitBatch({ events, customEvents: [], errors: [] }, this.config.maxPayloadBytes);
+
+        let saved = true;
+        for (let i = 0; i < parts.length; i++) {
+          const payload = this.buildBatchPayload({
+            sessionId: chunk.sessionId,
+            // Stable across attempts, so the server drops a chunk recovered twice
+            idempotencyKey: parts.length > 1 ? `${chunk.key}_${i}` : chunk.key,
+            // Events are appended as rrweb emits them, so the chunk's times are theirs
+            firstEventTimestamp: chunk.createdAt,
+            lastEventTimestamp: chunk.updatedAt,
+            ...parts[i]
+          }, { eventCount: parts[i].events.length });
+
+          saved = await this.saveFailedBatch({ ...payload, recovered: true }, Date.now()) && saved;
         }
-      };
+        if (!saved) continue;
 
-      const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
-      navigator.sendBeacon(`${this.config.apiEndpoint}/sessions/${this.sessionId}/events`, blob);
-      
-      this.log('Sent beacon with events');
+        recovered.push(chunk.key);
+        const session = sessions.get(chunk.sessionId) || { lastActivity: 0, eventCount: 0 };
+        session.lastActivity = Math.max(session.lastActivity, chunk.updatedAt);
+        session.eventCount += events.length;
+        sessions.set(chunk.sessionId, session);
+      }
+
+      await this.eventStore.removeForeign(recovered);
+
+      sessions.forEach(({ lastActivity, eventCount }, sessionId) => {
+        this.log('Recovered events of an unfinished session', { sessionId, eventCount });
+
+        // The current session goes on; the expired one was already ended
+        if (sessionId !== this.sessionId && sessionId !== endedSession) {
+          this.sendSessionEnd(sessionId, lastActivity, { eventCount }, { recovered: true });
+        }
+      });
     } catch (error) {
-      this.logError('Failed to send beacon', error);
+      this.logError('Failed to recover sessions', error);
     }
   }
 
+  /**
+   * Build the request body for a batch of events
+   */
+  buildBatchPayload({
+    sessionId,
+    sequence = null,
+    idempotencyKey = null,
+    firstEventTimestamp = null,
+    lastEventTimestamp = null,
+    events = [],
+    customEvents = [],
+    errors = []
+  }, metadata = {}) {
+    return {
+      sessionId,
+      sequence,
+      idempotencyKey,
+      userId: this.userId,
+      appId: this.config.appId,
+      events, // Encoded when sent, depending on the payload format
+      customEvents,
+      errors,
+      metadata: {
+        timestamp: Date.now(),
+        firstEventTimestamp,
+        lastEventTimestamp,
+        ...metadata
+      }
+    };
+  }
+
   /**
    * Send session start event
    */
@@ -677,8 +2287,8 @@ class SpectraViewSDK {
         appId: this.config.appId,
         startTime: this.performanceData.startTime,
         metadata: {
-          url: window.location.href,
-          referrer: document.referrer,
+          url: this.sanitizeUrl(window.location.href),
+          referrer: this.sanitizeUrl(document.referrer),
           userAgent: navigator.userAgent,
           screen: {
             width: screen.width,
@@ -690,52 +2300,128 @@ class SpectraViewSDK {
             height: window.innerHeight
           },
           language: navigator.language,
-          platform: navigator.platform
+          platform: navigator.platform,
+          recording: this.sessionState?.recording || null
         }
       };
 
-      const response = await fetch(`${endpoint}/sessions/start`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.config.apiKey
-        },
-        body: JSON.stringify(payload)
-      });
+      const result = await this.sendRequest('/sessions/start', { payload });
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      if (!result.ok) {
+        throw new Error(describeFailure(result));
       }
 
-      this.log('Session started');
-    } catch (error) {
-      this.logError('Failed to start session', error);
+      this.applyServerDirectives(result);
+      this.log('Session started');
+    } catch (error) {
+      this.logError('Failed to start session', error);
+    }
+  }
+
+  /**
+   * Send heartbeat
+   */
+  async sendHeartbeat() {
+    const endpoint = this.getApiEndpoint();
+    if (!endpoint || this.isBuffering || !this.network.online) return;
+    
+    // Fail silently for heartbeat
+    const result = await this.sendRequest(`/sessions/${this.sessionId}/heartbeat`, {
+      payload: {
+        timestamp: Date.now(),
+        stats: this.performanceData
+      },
+      sessionId: this.sessionId
+    });
+
+    if (result.ok) {
+      this.applyServerDirectives(result);
+    }
+  }
+
+  /**
+   * Act on instructions in a session start or heartbeat response,
+   * e.g. `{ "live": true }` to start streaming this session
+   */
+  applyServerDirectives(result) {
+    if (this.config.liveMode !== 'remote' || !result.body) return;
+
+    let directives;
+    try {
+      directives = JSON.parse(result.body);
+    } catch (error) {
+      return;
+    }
+
+    if (directives?.live === true) {
+      this.startLive();
+    } else if (directives?.live === false) {
+      this.stopLive();
+    }
+  }
+
+  /**
+   * Public API: Stream this session over WebSocket so it can be watched live
+   */
+  startLive() {
+    if (!this.isRecording || this.isBuffering || this.liveStream || !this.getApiEndpoint()) return;
+
+    if (typeof WebSocket === 'undefined') {
+      this.log('WebSocket not available, live streaming disabled');
+      return;
+    }
+
+    this.liveStream = new LiveStream({
+      url: () => this.getLiveUrl(),
+      sessionId: this.sessionId,
+      maxBufferedAmount: this.config.liveMaxBufferedAmount,
+      maxQueueSize: this.config.liveMaxQueueSize,
+      onSnapshotRequest: () => {
+        if (this.stopRecordingFn) {
+          takeFullSnapshot();
+        }
+      },
+      onStop: () => {
+        this.liveStream = null;
+        this.log('Live streaming stopped by server');
+      },
+      log: (...args) => this.log(...args)
+    });
+
+    // The URL carries the token, so connect once there is one
+    const stream = this.liveStream;
+    if (this.config.getAuthToken && !this.getCachedAuthToken()) {
+      this.fetchAuthToken().then(() => stream.start());
+    } else {
+      stream.start();
     }
+
+    this.log('Live streaming started', { sessionId: this.sessionId });
   }
 
   /**
-   * Send heartbeat
+   * Public API: Stop live streaming (batches keep uploading as usual)
    */
-  async sendHeartbeat() {
-    const endpoint = this.getApiEndpoint();
-    if (!endpoint) return;
-    
-    try {
-      await fetch(`${endpoint}/sessions/${this.sessionId}/heartbeat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.config.apiKey,
-          'X-Session-ID': this.sessionId
-        },
-        body: JSON.stringify({
-          timestamp: Date.now(),
-          stats: this.performanceData
-        })
-      });
-    } catch (error) {
-      // Fail silently for heartbeat
-    }
+  stopLive() {
+    if (!this.liveStream) return;
+
+    this.liveStream.stop();
+    this.liveStream = null;
+    this.log('Live streaming stopped');
+  }
+
+  /**
+   * Get the WebSocket URL for live streaming. Browsers can't set headers on
+   * a WebSocket, so credentials go in the query string. Built on every
+   * (re)connect so it picks up the latest auth token.
+   */
+  getLiveUrl() {
+    const url = new URL(`${this.getApiEndpoint()}/sessions/${this.sessionId}/live`, window.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    Object.entries(this.getCredentials(this.getCachedAuthToken())).forEach(([name, value]) => {
+      url.searchParams.set(name, value);
+    });
+    return url.toString();
   }
 
   /**
@@ -745,10 +2431,9 @@ class SpectraViewSDK {
     try {
       const jsonString = JSON.stringify(events);
       const compressed = pako.deflate(jsonString);
-      const base64 = btoa(String.fromCharCode.apply(null, compressed));
       return {
         compressed: true,
-        data: base64
+        data: toBase64(compressed)
       };
     } catch (error) {
       this.logError('Failed to compress events', error);
@@ -760,99 +2445,235 @@ class SpectraViewSDK {
   }
 
   /**
-   * Save event to local storage
+   * Save event to local storage, appended to the session's current chunk
    */
-  async saveEventLocal(event) {
-    if (!this.storage) return;
+  saveEventLocal(event) {
+    if (!this.eventStore) return;
 
     try {
-      const key = `event_${Date.now()}_${Math.random()}`;
-      await this.storage.setItem(key, {
-        event,
-        sessionId: this.sessionId,
-        timestamp: Date.now(),
-        synced: false
-      });
-
-      // Clean old events if necessary
-      const keys = await this.storage.keys();
-      if (keys.length > this.config.maxLocalEvents) {
-        await this.cleanOldEvents();
-      }
+      this.eventStore.append(this.sessionId, event);
     } catch (error) {
       // Fail silently for local storage
     }
   }
 
   /**
-   * Save failed batch to local storage
+   * Save failed batch to the outbox for retry
    */
-  async saveFailedBatch(batch) {
-    if (!this.storage) return;
+  async saveFailedBatch(payload, nextAttempt = Date.now() + this.getRetryDelay(0)) {
+    if (!this.storage) return false;
 
     try {
-      const key = `batch_${Date.now()}`;
-      await this.storage.setItem(key, {
-        ...batch,
-        sessionId: this.sessionId,
-        timestamp: Date.now(),
-        retryCount: 0
-      });
+      const now = Date.now();
+      const key = `batch_${now}_${Math.random().toString(36).slice(2, 8)}`;
+      const record = {
+        payload,
+        sessionId: payload.sessionId,
+        timestamp: now,
+        retryCount: 0,
+        nextAttempt,
+        bytes: jsonByteLength(payload)
+      };
+
+      const index = await this.getOutboxIndex();
+      try {
+        await this.storage.setItem(key, record);
+      } catch (error) {
+        if (!isQuotaExceeded(error) || !this.eventStore) throw error;
+
+        // Queued batches matter more than the local copy of events
+        await this.eventStore.freeSpace(record.bytes);
+        await this.storage.setItem(key, record);
+      }
+      index.set(key, toOutboxEntry(record));
+
+      await this.pruneOutbox();
+      this.scheduleOutboxRetry(nextAttempt);
+      return true;
     } catch (error) {
       // Fail silently
+      return false;
     }
   }
 
   /**
-   * Clean old events from local storage
+   * Exponential backoff with jitter for the given number of failed retries
    */
-  async cleanOldEvents() {
-    if (!this.storage) return;
+  getRetryDelay(retryCount) {
+    const delay = Math.min(this.config.retryMaxDelay, this.config.retryBaseDelay * 2 ** retryCount);
+    // Spread retries so many clients coming back online don't hit the API at once
+    return Math.round(delay * (0.5 + Math.random() / 2));
+  }
 
-    try {
-      const keys = await this.storage.keys();
-      const items = [];
+  /**
+   * Get the outbox index: what pruning and scheduling need of every queued
+   * batch, read from storage once per page load. Payloads (and their
+   * decryption) are only read when a batch is sent.
+   */
+  getOutboxIndex() {
+    if (!this.outboxIndex) {
+      const storage = this.storage;
+      this.outboxIndex = (async () => {
+        const index = new Map();
+        const keys = (await storage.keys()).filter(key => key.startsWith('batch_'));
+        for (const key of keys) {
+          const record = await storage.getItem(key);
+          if (record) index.set(key, toOutboxEntry(record));
+        }
+        return index;
+      })();
+      // A failed read is tried again next time
+      this.outboxIndex.catch(() => {
+        this.outboxIndex = null;
+      });
+    }
+    return this.outboxIndex;
+  }
 
-      for (const key of keys) {
-        const item = await this.storage.getItem(key);
-        items.push({ key, timestamp: item.timestamp || 0 });
+  /**
+   * Drop outbox batches that are too old, retried too often, or over the
+   * byte budget (oldest first), going by the index. Returns the batches that
+   * remain as { key, entry }, oldest first.
+   */
+  async pruneOutbox() {
+    const index = await this.getOutboxIndex();
+    const now = Date.now();
+    const batches = [];
+
+    for (const [key, entry] of index) {
+      const expired = now - entry.timestamp > this.config.maxBatchAge;
+      if (expired || entry.retryCount >= this.config.maxRetries) {
+        index.delete(key);
+        await this.storage.removeItem(key);
+        continue;
       }
 
-      // Sort by timestamp
-      items.sort((a, b) => b.timestamp - a.timestamp);
+      batches.push({ key, entry });
+    }
+
+    batches.sort((a, b) => a.entry.timestamp - b.entry.timestamp);
 
-      // Keep only recent events
-      const toDelete = items.slice(this.config.maxLocalEvents);
-      for (const item of toDelete) {
-        await this.storage.removeItem(item.key);
-      }
-    } catch (error) {
-      // Fail silently
+    let totalBytes = batches.reduce((total, { entry }) => total + entry.bytes, 0);
+    while (totalBytes > this.config.maxOutboxBytes && batches.length > 0) {
+      const { key, entry } = batches.shift();
+      totalBytes -= entry.bytes;
+      index.delete(key);
+      await this.storage.removeItem(key);
+      this.log('Outbox full, dropped oldest batch', key);
     }
+
+    return batches;
   }
 
   /**
-   * Clear synced events
+   * Retry the batches in the outbox that are due. With `force` the backoff
+   * is ignored (e.g. the browser just came back online).
    */
-  async clearSyncedEvents() {
-    if (!this.storage) return;
+  drainOutbox({ force = false } = {}) {
+    if (!this.storage || !this.getApiEndpoint()) return Promise.resolve();
+
+    // One drain at a time; callers share the one in progress
+    if (!this.drainPromise) {
+      this.drainPromise = this.sendOutbox(force).finally(() => {
+        this.drainPromise = null;
+      });
+    }
+    return this.drainPromise;
+  }
+
+  /**
+   * Send due outbox batches, rescheduling the ones that fail
+   */
+  async sendOutbox(force) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
 
     try {
-      const keys = await this.storage.keys();
-      
-      for (const key of keys) {
-        if (key.startsWith('event_')) {
-          const item = await this.storage.getItem(key);
-          if (item.synced) {
-            await this.storage.removeItem(key);
+      const batches = await this.pruneOutbox();
+      const index = await this.getOutboxIndex();
+      let nextRetry = null;
+      let offline = false;
+
+      for (const { key, entry } of batches) {
+        // The outbox was purged meanwhile
+        if (this.consentState === 'revoked') return;
+
+        // Retried together with the batch that just failed
+        if (offline) continue;
+
+        if (!force && entry.nextAttempt > Date.now()) {
+          nextRetry = Math.min(nextRetry ?? Infinity, entry.nextAttempt);
+          continue;
+        }
+
+        const record = await this.storage.getItem(key);
+        if (!record) {
+          index.delete(key);
+          continue;
+        }
+
+        // Batches saved by older versions only kept the raw events
+        const payload = record.payload || this.buildBatchPayload(record);
+        const result = await this.sendBatch(payload);
+        if (this.consentState === 'revoked') return;
+
+        if (result.ok || !result.retryable) {
+          if (!result.ok) {
+            this.logError('Queued batch rejected by server, dropping it', describeFailure(result));
           }
+          index.delete(key);
+          await this.storage.removeItem(key);
+          continue;
+        }
+
+        const retryCount = (record.retryCount || 0) + 1;
+        if (retryCount >= this.config.maxRetries) {
+          this.logError('Queued batch failed too many times, dropping it', describeFailure(result));
+          index.delete(key);
+          await this.storage.removeItem(key);
+          continue;
         }
+
+        const nextAttempt = Date.now() + this.getRetryDelay(retryCount);
+        const updated = { ...record, payload, retryCount, nextAttempt };
+        await this.storage.setItem(key, updated);
+        index.set(key, toOutboxEntry(updated));
+        nextRetry = Math.min(nextRetry ?? Infinity, nextAttempt);
+
+        // The rest would most likely fail the same way
+        offline = result.errorType === ERROR_TYPES.NETWORK;
+      }
+
+      if (nextRetry !== null) {
+        this.scheduleOutboxRetry(nextRetry);
       }
     } catch (error) {
-      // Fail silently
+      this.logError('Failed to drain outbox', error);
     }
   }
 
+  /**
+   * Drain the outbox again at the given time, unless a retry is due sooner
+   */
+  scheduleOutboxRetry(at) {
+    if (this.outboxTimer && this.outboxRetryAt <= at) return;
+
+    clearTimeout(this.outboxTimer);
+    this.outboxRetryAt = at;
+    this.outboxTimer = setTimeout(() => {
+      this.outboxTimer = null;
+      this.drainOutbox();
+    }, Math.max(0, at - Date.now()));
+  }
+
+  /**
+   * Clear synced events
+   */
+  async clearSyncedEvents() {
+    if (!this.eventStore) return;
+
+    await this.eventStore.clearSynced();
+  }
+
   /**
    * Get element selector
    */
@@ -882,41 +2703,112 @@ class SpectraViewSDK {
    * Sanitize data to remove sensitive information
    */
   sanitizeData(data) {
-    if (!data) return data;
+    return this.redactor.redact(data);
+  }
+
+  /**
+   * Build the redactor from the privacy options
+   */
+  createRedactor() {
+    return createRedactor({
+      rules: this.config.redactionRules,
+      packs: this.config.redactionPacks,
+      redactKeys: this.config.redactKeys,
+      safeKeys: this.config.safeKeys,
+      onInvalidRule: (rule, error) => {
+        console.warn(`[SpectraView] Invalid redaction rule ${rule.pattern}, ignoring it`, error);
+      },
+      onUnknownPack: (name) => {
+        console.warn(`[SpectraView] Unknown redaction pack "${name}", ignoring it`);
+      }
+    });
+  }
 
-    const sanitized = JSON.parse(JSON.stringify(data)); // Deep clone
+  /**
+   * Build the URL sanitizer from the privacy options
+   */
+  createUrlSanitizer() {
+    return createUrlSanitizer({
+      denyParams: this.config.urlDenyParams,
+      allowParams: this.config.urlAllowParams,
+      stripFragment: this.config.stripUrlFragment,
+      pathTemplates: this.config.urlPathTemplates,
+      templateIds: this.config.templateUrlIds,
+      redactText: this.redactor.redactText
+    });
+  }
 
-    // Patterns to sanitize
-    const patterns = [
-      { regex: /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/g, replacement: '[CARD]' },
-      { regex: /\b\d{3}-\d{2}-\d{4}\b/g, replacement: '[SSN]' },
-      { regex: /[\w.-]+@[\w.-]+\.\w+/g, replacement: '[EMAIL]' },
-      { regex: /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g, replacement: '[PHONE]' }
-    ];
+  /**
+   * Sanitize a URL before it is recorded
+   */
+  sanitizeUrl(url) {
+    return this.urlSanitizer.sanitize(url);
+  }
 
-    // Recursively sanitize strings
-    const sanitizeValue = (value) => {
-      if (typeof value === 'string') {
-        let sanitizedValue = value;
-        patterns.forEach(pattern => {
-          sanitizedValue = sanitizedValue.replace(pattern.regex, pattern.replacement);
-        });
-        return sanitizedValue;
-      } else if (typeof value === 'object' && value !== null) {
-        if (Array.isArray(value)) {
-          return value.map(sanitizeValue);
-        } else {
-          const result = {};
-          for (const key in value) {
-            result[key] = sanitizeValue(value[key]);
-          }
-          return result;
-        }
+  /**
+   * Build the block, mask and unmask rules from the privacy options
+   */
+  createPrivacyRules() {
+    return createPrivacyRules({
+      blockClass: this.config.blockClass,
+      blockSelector: this.config.blockSelector,
+      maskTextClass: this.config.maskTextClass,
+      maskSelector: this.config.maskSelector,
+      maskInputSelector: this.config.maskInputSelector,
+      unmaskSelector: this.config.unmaskSelector,
+      maskTextContent: this.config.maskTextContent,
+      maskAllInputs: this.config.maskAllInputs,
+      onInvalidSelector: (selector) => {
+        console.warn(`[SpectraView] Invalid privacy selector "${selector}", ignoring it`);
       }
-      return value;
-    };
+    });
+  }
+
+  /**
+   * Remember the value of a masked or blocked field from an input or change event
+   */
+  trackMaskedValue(event) {
+    const target = event.target;
+    if (typeof target?.value !== 'string') return;
+    if (!this.privacyRules.isInputMasked(target) && !this.privacyRules.isBlocked(target)) return;
+
+    // Only the latest value of each field, oldest fields dropped first
+    this.maskedValues.delete(target);
+    if (target.value.length >= MIN_MASKED_VALUE_LENGTH) {
+      this.maskedValues.set(target, target.value);
+      if (this.maskedValues.size > MAX_MASKED_VALUES) {
+        this.maskedValues.delete(this.maskedValues.keys().next().value);
+      }
+    }
+  }
+
+  /**
+   * Replace values typed into masked fields, as typed or URL-encoded, in captured text
+   */
+  hideMaskedValues(text) {
+    if (typeof text !== 'string' || this.maskedValues.size === 0) return text;
+
+    // Longest first, so a value containing another is replaced whole
+    const values = [...new Set(this.maskedValues.values())].sort((a, b) => b.length - a.length);
+    return values.reduce((result, value) => {
+      const masked = '*'.repeat(value.length);
+      const encoded = encodeURIComponent(value);
+      return [value, encoded, encoded.replace(/%20/g, '+')]
+        .reduce((hidden, variant) => hidden.split(variant).join(masked), result);
+    }, text);
+  }
+
+  /**
+   * Add a detector pack that redactionPacks can select. Packs are shared by all clients.
+   */
+  registerDetectorPack(name, detectors) {
+    registerDetectorPack(name, detectors);
 
-    return sanitizeValue(sanitized);
+    // Pick it up right away if this client already asked for it
+    if (this.config?.redactionPacks.includes(name)) {
+      this.redactor = this.createRedactor();
+      this.urlSanitizer = this.createUrlSanitizer();
+    }
   }
 
   /**
@@ -942,39 +2834,101 @@ class SpectraViewSDK {
       this.heartbeatTimer = null;
     }
 
+    if (this.outboxTimer) {
+      clearTimeout(this.outboxTimer);
+      this.outboxTimer = null;
+    }
+
+    this.stopLive();
+
+    // Remove listeners and restore fetch, XHR, console and history
+    this.removeListeners();
+    this.removeInstrumentation();
+    this.maskedValues.clear();
+    this.isPaused = false;
+
     // Final flush
     this.flush();
 
-    // Send session end
-    this.sendSessionEnd();
+    // Send session end (a buffered session was never started on the server)
+    if (this.sessionState.uploading) {
+      this.sendSessionEnd();
+    }
+    this.clearSessionState();
+    this.sessionState = null;
 
     this.isRecording = false;
     this.log('Recording stopped');
   }
 
+  /**
+   * Public API: Pause capture without ending the session (e.g. during PIN entry)
+   */
+  pause() {
+    if (!this.isRecording || this.isPaused) return;
+
+    // Marker so the replay shows where the gap starts
+    this.addReplayMarker('spectraview:pause');
+    this.captureCustomEvent('recording_paused', {});
+
+    if (this.stopRecordingFn) {
+      this.stopRecordingFn();
+      this.stopRecordingFn = null;
+    }
+
+    this.isPaused = true;
+    this.flush();
+    this.log('Recording paused');
+  }
+
+  /**
+   * Public API: Resume capture after pause()
+   */
+  resume() {
+    if (!this.isRecording || !this.isPaused) return;
+
+    this.isPaused = false;
+
+    // A fresh full snapshot makes the replay pick up the page as it is now
+    if (this.config.recordDOM && this.sessionState.recording?.decision === 'full') {
+      this.startCapture();
+    }
+
+    this.addReplayMarker('spectraview:resume');
+    this.captureCustomEvent('recording_resumed', {});
+    this.log('Recording resumed');
+  }
+
+  /**
+   * Add an rrweb custom event to the replay stream
+   */
+  addReplayMarker(tag, payload = {}) {
+    // Only meaningful while rrweb is recording the DOM
+    if (!this.stopRecordingFn) return;
+
+    this.handleRRWebEvent({
+      type: rrweb.EventType.Custom,
+      data: { tag, payload },
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Send session end event
    */
-  async sendSessionEnd() {
+  async sendSessionEnd(sessionId = this.sessionId, endTime = Date.now(), stats = this.performanceData, { recovered = false } = {}) {
     const endpoint = this.getApiEndpoint();
     if (!endpoint) return;
     
-    try {
-      await fetch(`${endpoint}/sessions/${this.sessionId}/end`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-Key': this.config.apiKey,
-          'X-Session-ID': this.sessionId
-        },
-        body: JSON.stringify({
-          endTime: Date.now(),
-          stats: this.performanceData
-        })
-      });
-    } catch (error) {
-      // Fail silently
-    }
+    // Fail silently
+    await this.sendRequest(`/sessions/${sessionId}/end`, {
+      payload: {
+        endTime,
+        stats,
+        ...(recovered && { recovered: true })
+      },
+      sessionId
+    });
   }
 
   /**
@@ -985,11 +2939,91 @@ class SpectraViewSDK {
     this.captureCustomEvent(eventName, data);
   }
 
+  /**
+   * Public API: Set consent ('pending' | 'granted' | 'revoked')
+   */
+  async setConsent(state) {
+    if (!CONSENT_STATES.includes(state)) {
+      console.warn(`[SpectraView] Invalid consent state "${state}"`);
+      return;
+    }
+
+    this.consentState = state;
+
+    if (state === 'pending') {
+      try {
+        localStorage.removeItem(CONSENT_STORAGE_KEY);
+      } catch (error) {
+        // Fail silently
+      }
+      this.stop();
+    } else {
+      this.saveConsent(state);
+    }
+
+    if (state === 'granted') {
+      // Start now if init() already ran and was waiting for consent
+      if (this.config && !this.isRecording) {
+        await this.startRecording();
+      }
+      return;
+    }
+
+    if (state === 'revoked') {
+      // Discard everything captured so far instead of sending it
+      this.eventBuffer = [];
+      this.eventInfo = [];
+      this.retryQueue = [];
+      this.flushQueue = [];
+      this.customEventBuffer = [];
+      this.errorBuffer = [];
+
+      this.stop();
+      await this.purgeLocalData();
+      this.log('Consent revoked, local data purged');
+    }
+  }
+
+  /**
+   * Public API: Get current consent state
+   */
+  getConsent() {
+    return this.consentState || this.loadConsent() || 'pending';
+  }
+
+  /**
+   * Public API: Create an isolated client with its own config, buffers,
+   * storage namespace and transport. Global hooks are shared with every
+   * other active client. The init() promise is available as client.ready.
+   */
+  createClient(config = {}) {
+    const client = new SpectraViewSDK();
+    client.ready = client.init({
+      storageNamespace: `spectraview_${config.appId || 'client'}`,
+      ...config
+    });
+    return client;
+  }
+
+  /**
+   * Public API: Register a processor that can enrich, rewrite or drop custom
+   * events and errors before they are buffered. Return the (new) event, null
+   * to drop it, or a promise of either. Returns a function that removes it.
+   */
+  addEventProcessor(processor) {
+    this.eventProcessors.push(processor);
+
+    return () => {
+      this.eventProcessors = this.eventProcessors.filter(p => p !== processor);
+    };
+  }
+
   /**
    * Public API: Set user
    */
   setUser(userId, metadata = {}) {
     this.userId = userId;
+    this.userTraits = { ...this.userTraits, ...metadata };
     this.captureCustomEvent('identify', {
       userId,
       metadata
@@ -1070,6 +3104,146 @@ class SpectraViewSDK {
     return null;
   }
 
+  /**
+   * Resolve a transport option, falling back to fetch for unknown names
+   */
+  createTransport(option) {
+    const transport = resolveTransport(option);
+    if (!transport) {
+      console.warn(`[SpectraView] Unknown transport "${option}", falling back to "fetch"`);
+      return resolveTransport('fetch');
+    }
+    return transport;
+  }
+
+  /**
+   * Send a request to the API through a transport. Every endpoint goes
+   * through here so headers, auth, timeouts and results are consistent.
+   * Never throws: failures come back as a result with an errorType.
+   * With `sync` a missing token is not awaited, so the request starts
+   * before this returns (page unload).
+   */
+  async sendRequest(path, {
+    method = 'POST',
+    payload,
+    body,
+    sessionId,
+    headers = {},
+    timeout = this.config.requestTimeout,
+    transport = this.transport,
+    sync = false
+  } = {}) {
+    const send = async (token) => {
+      const credentials = this.getCredentials(token);
+      let url = `${this.getApiEndpoint()}${path}`;
+      let requestPayload = payload;
+
+      // Beacons can't carry headers: credentials go in the URL or the body
+      if (transport.name === 'beacon' && Object.keys(credentials).length > 0) {
+        if (this.config.beaconAuth === 'body' && payload !== undefined) {
+          requestPayload = { ...payload, auth: credentials };
+        } else {
+          url += `${url.includes('?') ? '&' : '?'}${new URLSearchParams(credentials)}`;
+        }
+      }
+
+      const request = {
+        url,
+        method,
+        headers: {
+          ...(payload !== undefined && { 'Content-Type': 'application/json' }),
+          ...(this.config.apiKey && { 'X-API-Key': this.config.apiKey }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...(sessionId && { 'X-Session-ID': sessionId }),
+          ...headers
+        },
+        body: body !== undefined ? body : (requestPayload !== undefined ? JSON.stringify(requestPayload) : undefined),
+        timeout
+      };
+
+      try {
+        return createResult(await transport.send(request));
+      } catch (error) {
+        // Custom transports may throw instead of returning a result
+        return createResult({ errorType: ERROR_TYPES.NETWORK, retryable: true, error });
+      }
+    };
+
+    if (!this.config.getAuthToken) {
+      return send(null);
+    }
+
+    // On unload there's no time to refresh, so a token inside the margin still goes
+    let token = this.getCachedAuthToken(sync ? 0 : AUTH_TOKEN_REFRESH_MARGIN);
+    if (!token && !sync) {
+      token = await this.fetchAuthToken();
+    }
+
+    const result = await send(token);
+    if (result.status !== 401) {
+      return result;
+    }
+
+    // The token expired or was revoked: get a new one and retry once
+    this.log('Request unauthorized, refreshing auth token');
+    this.authToken = null;
+    const refreshed = await this.fetchAuthToken();
+    return refreshed ? send(refreshed) : result;
+  }
+
+  /**
+   * Credentials for requests that can't set headers (beacons, WebSockets)
+   */
+  getCredentials(token) {
+    return {
+      ...(this.config.apiKey && { apiKey: this.config.apiKey }),
+      ...(token && { token })
+    };
+  }
+
+  /**
+   * Get the cached auth token, or null when missing or expiring within `margin` ms
+   */
+  getCachedAuthToken(margin = AUTH_TOKEN_REFRESH_MARGIN) {
+    if (!this.authToken) return null;
+
+    const { token, expiresAt } = this.authToken;
+    if (expiresAt && expiresAt - margin <= Date.now()) {
+      return null;
+    }
+    return token;
+  }
+
+  /**
+   * Get a new token from config.getAuthToken. Concurrent callers share one
+   * call; failures resolve to null so requests go out without a token.
+   */
+  fetchAuthToken() {
+    if (!this.authTokenPromise) {
+      this.authTokenPromise = withTimeout(
+        Promise.resolve().then(() => this.config.getAuthToken()),
+        this.config.requestTimeout
+      )
+        .then(result => {
+          // Providers return the token, or { token, expiresAt } with expiresAt in ms
+          const auth = typeof result === 'string' ? { token: result } : result;
+          this.authToken = auth?.token
+            ? { token: auth.token, expiresAt: auth.expiresAt || null }
+            : null;
+          return this.authToken?.token || null;
+        })
+        .catch(error => {
+          this.logError('Failed to get auth token', error);
+          this.authToken = null;
+          return null;
+        })
+        .finally(() => {
+          this.authTokenPromise = null;
+        });
+    }
+    return this.authTokenPromise;
+  }
+
   /**
    * Logging utilities
    */
@@ -0,0 +1,524 @@
+/**
+ * SpectraView SDK - Local event store
+ *
+ * Keeps a copy of recorded events in IndexedDB (through localforage) until
+ * they are uploaded. Events are appended to chunk records, many events per
+ * write, and every page load keeps an index of its chunks so counts, sizes
+ * and limits never require reading the records themselves.
+ *
+ * Records, next to the outbox's `batch_` records in the same store:
+ *   log_<writerId>           { writerId, updatedAt, chunks: [entry] }
+ *   chunk_<writerId>_<n>     { sessionId, events, updatedAt }
+ *   entry                    { key, sessionId, count, bytes, createdAt, updatedAt, synced }
+ *
+ * A page load holds a Web Lock named after its writerId for as long as it
+ * lives, so a later page load can tell chunks of a live tab from chunks left
+ * behind by a crash. It only writes its own log and chunks, and cleans up
+ * those of page loads that are gone, so tabs sharing the store never
+ * overwrite each other's index.
+ */
+
+// Start a new chunk after this many events or bytes
+const CHUNK_MAX_EVENTS = 100;
+const CHUNK_MAX_BYTES = 256 * 1024;
+
+// Appended events are written together after this delay
+const WRITE_DELAY = 1000;
+
+const LOCK_PREFIX = 'spectraview_writer_';
+
+/**
+ * Check whether a storage error means the origin is out of quota
+ */
+export function isQuotaExceeded(error) {
+  return !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Firefox
+    error.code === 22 ||
+    error.code === 1014
+  );
+}
+
+/**
+ * Get the size of a value as UTF-8 encoded JSON, what is stored and sent
+ */
+export function jsonByteLength(value) {
+  const json = JSON.stringify(value);
+  return typeof TextEncoder !== 'undefined'
+    ? new TextEncoder().encode(json).length
+    : new Blob([json]).size;
+}
+
+export class EventStore {
+  constructor({
+    storage,
+    writerId,
+    maxEvents = 1000,
+    maxBytes = 5 * 1024 * 1024,
+    maxAge = 24 * 60 * 60 * 1000,
+    staleAfter = 30 * 60 * 1000,
+    log = () => {}
+  }) {
+    this.storage = storage;
+    this.writerId = writerId;
+    this.logKey = `log_${writerId}`;
+    this.maxEvents = maxEvents;
+    this.maxBytes = maxBytes;
+    this.maxAge = maxAge;
+    this.staleAfter = staleAfter; // Without Web Locks, a writer is gone once it hasn't written for this long
+    this.log = log;
+
+    this.chunks = []; // This page load's entries, oldest first
+    this.current = null; // Entry still taking events
+    this.currentEvents = [];
+    this.unwritten = new Map(); // Chunk key -> events not written yet
+    this.unsealed = []; // Chunks not yet claimed by a batch
+    this.nextChunk = 0;
+    this.foreign = { count: 0, bytes: 0 }; // Unsynced chunks left by other page loads
+    this.foreignLogs = new Map(); // Their indexes, by log key
+    this.writeTimer = null;
+    this.queue = Promise.resolve(); // Storage operations run one at a time
+  }
+
+  /**
+   * Load the other page loads' indexes, dropping what is synced, expired,
+   * orphaned or over the limits, and remove per-event records of older versions.
+   * Logs and chunks of page loads that are still alive are left alone.
+   */
+  open() {
+    this.acquireLock();
+
+    return this.run(async () => {
+      const keys = await this.storage.keys();
+      const live = await this.getLiveWriters();
+      const now = Date.now();
+      const cutoff = now - this.maxAge;
+      const isGone = record => (live ? !live.has(record.writerId) : record.updatedAt < now - this.staleAfter);
+      const logs = [];
+      const indexed = new Set();
+      const dropped = [];
+
+      for (const key of keys) {
+        if (key.startsWith('event_')) {
+          await this.storage.removeItem(key);
+        } else if (key.startsWith('log_') && key !== this.logKey) {
+          const record = await this.storage.getItem(key);
+          if (record) logs.push({ key, record });
+        }
+      }
+
+      // Newest first, so the oldest are the ones over the limits
+      logs.sort((a, b) => (b.record.updatedAt || 0) - (a.record.updatedAt || 0));
+
+      let count = 0;
+      let bytes = 0;
+      for (const { key, record } of logs) {
+        const chunks = record.chunks || [];
+        chunks.forEach(entry => indexed.add(entry.key));
+
+        // A live page load cleans up its own chunks
+        if (!isGone(record)) {
+          const unsynced = chunks.filter(entry => !entry.synced);
+          unsynced.forEach(entry => {
+            count += entry.count;
+            bytes += entry.bytes;
+          });
+          this.foreignLogs.set(key, { ...record, chunks: unsynced });
+          continue;
+        }
+
+        const kept = chunks.filter(entry => {
+          if (entry.synced || entry.updatedAt < cutoff) return false;
+          if (count + entry.count > this.maxEvents || bytes + entry.bytes > this.maxBytes) return false;
+          count += entry.count;
+          bytes += entry.bytes;
+          return true;
+        });
+        dropped.push(...chunks.filter(entry => !kept.includes(entry)).map(entry => entry.key));
+
+        if (kept.length === 0) {
+          await this.storage.removeItem(key);
+          continue;
+        }
+
+        if (kept.length < chunks.length) {
+          await this.storage.setItem(key, { ...record, chunks: kept });
+        }
+        this.foreignLogs.set(key, { ...record, chunks: kept });
+      }
+
+      for (const key of dropped) {
+        await this.storage.removeItem(key);
+      }
+
+      // Chunks written just before a page died without its log. A live page
+      // writes its chunks before its log, so recent ones may just be unindexed yet.
+      for (const key of keys) {
+        if (!key.startsWith('chunk_') || indexed.has(key)) continue;
+        if (live && live.has(key.slice('chunk_'.length, key.lastIndexOf('_')))) continue;
+
+        const record = await this.storage.getItem(key);
+        const recent = !!record && record.updatedAt >= now - WRITE_DELAY;
+        if (!recent) {
+          await this.storage.removeItem(key);
+        }
+      }
+
+      this.foreign = { count, bytes };
+    });
+  }
+
+  /**
+   * Hold this writer's lock until the page goes away
+   */
+  acquireLock() {
+    const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+    if (!locks || typeof locks.request !== 'function') return;
+
+    Promise.resolve(locks.request(`${LOCK_PREFIX}${this.writerId}`, () => new Promise(() => {})))
+      .catch(() => {});
+  }
+
+  /**
+   * Writer ids whose page is still alive, or null without Web Locks
+   */
+  async getLiveWriters() {
+    const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+    if (!locks || typeof locks.query !== 'function') return null;
+
+    try {
+      const { held = [] } = await locks.query();
+      return new Set(held
+        .map(lock => lock.name)
+        .filter(name => typeof name === 'string' && name.startsWith(LOCK_PREFIX))
+        .map(name => name.slice(LOCK_PREFIX.length)));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Unsynced chunks left by page loads that are gone, oldest first. Without
+   * Web Locks a writer counts as gone once it hasn't written for `staleAfter` ms.
+   */
+  async getAbandoned(staleAfter = this.staleAfter) {
+    const live = await this.getLiveWriters();
+    const cutoff = Date.now() - staleAfter;
+    const chunks = [];
+
+    this.foreignLogs.forEach(record => {
+      const alive = live ? live.has(record.writerId) : record.updatedAt >= cutoff;
+      if (!alive) {
+        chunks.push(...record.chunks);
+      }
+    });
+
+    return chunks.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Read the events of a chunk
+   */
+  async readChunk(key) {
+    const record = await this.storage.getItem(key);
+    return record?.events || [];
+  }
+
+  /**
+   * Delete chunks left by other page loads, e.g. once they were recovered
+   */
+  removeForeign(keys) {
+    if (!keys || keys.length === 0) return Promise.resolve();
+
+    return this.run(async () => {
+      for (const [logKey, record] of this.foreignLogs) {
+        const removed = record.chunks.filter(entry => keys.includes(entry.key));
+        if (removed.length === 0) continue;
+
+        for (const entry of removed) {
+          await this.storage.removeItem(entry.key);
+          this.foreign.count -= entry.count;
+          this.foreign.bytes -= entry.bytes;
+        }
+
+        const chunks = record.chunks.filter(entry => !keys.includes(entry.key));
+        if (chunks.length === 0) {
+          await this.storage.removeItem(logKey);
+          this.foreignLogs.delete(logKey);
+        } else {
+          await this.storage.setItem(logKey, { ...record, chunks });
+          this.foreignLogs.set(logKey, { ...record, chunks });
+        }
+      }
+    });
+  }
+
+  /**
+   * Append an event to the session's current chunk. Written after a short delay.
+   */
+  append(sessionId, event) {
+    const bytes = jsonByteLength(event);
+
+    if (!this.current ||
+        this.current.sessionId !== sessionId ||
+        this.current.count >= CHUNK_MAX_EVENTS ||
+        this.current.bytes + bytes > CHUNK_MAX_BYTES) {
+      this.openChunk(sessionId);
+    }
+
+    this.currentEvents.push(event);
+    this.current.count++;
+    this.current.bytes += bytes;
+    this.current.updatedAt = Date.now();
+    this.unwritten.set(this.current.key, this.currentEvents);
+
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this.flush(), WRITE_DELAY);
+    }
+  }
+
+  /**
+   * Start a new chunk
+   */
+  openChunk(sessionId) {
+    const now = Date.now();
+    this.current = {
+      key: `chunk_${this.writerId}_${this.nextChunk++}`,
+      sessionId,
+      count: 0,
+      bytes: 0,
+      createdAt: now,
+      updatedAt: now,
+      synced: false
+    };
+    this.currentEvents = [];
+    this.chunks.push(this.current);
+    this.unsealed.push(this.current.key);
+  }
+
+  /**
+   * Close the current chunk and return the keys of every chunk appended
+   * since the last call, i.e. the chunks holding the batch being taken
+   */
+  seal() {
+    const keys = this.unsealed;
+    this.unsealed = [];
+    this.current = null;
+    this.currentEvents = [];
+    return keys;
+  }
+
+  /**
+   * Write appended events and this page load's index
+   */
+  flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+
+    return this.run(async () => {
+      const unwritten = [...this.unwritten];
+      this.unwritten.clear();
+
+      for (const [key, events] of unwritten) {
+        const entry = this.chunks.find(chunk => chunk.key === key);
+        if (!entry || entry.synced) continue;
+
+        const saved = await this.save(key, { sessionId: entry.sessionId, events, updatedAt: Date.now() }, entry.bytes);
+        if (!saved) {
+          this.log('Local storage full, dropping stored events');
+          this.forget(entry);
+        }
+      }
+
+      await this.enforceLimits();
+      await this.saveIndex();
+    });
+  }
+
+  /**
+   * Mark chunks as uploaded (or safely queued elsewhere)
+   */
+  markSynced(keys) {
+    if (!keys || keys.length === 0) return Promise.resolve();
+
+    return this.run(async () => {
+      this.chunks.forEach(entry => {
+        if (keys.includes(entry.key)) {
+          entry.synced = true;
+          this.unwritten.delete(entry.key);
+        }
+      });
+      await this.saveIndex();
+    });
+  }
+
+  /**
+   * Delete the chunks marked as synced
+   */
+  clearSynced() {
+    return this.run(async () => {
+      const synced = this.chunks.filter(entry => entry.synced);
+      if (synced.length === 0) return;
+
+      for (const entry of synced) {
+        await this.remove(entry);
+      }
+      await this.saveIndex();
+    });
+  }
+
+  /**
+   * Delete the oldest chunks until at least `bytes` are freed, e.g. to make
+   * room for a batch that hit the quota. Returns the bytes freed.
+   */
+  freeSpace(bytes) {
+    return this.run(() => this.evict(bytes));
+  }
+
+  /**
+   * Counts and sizes of the stored events, read from the index
+   */
+  getStats() {
+    const own = this.chunks.filter(entry => !entry.synced);
+    return {
+      chunks: own.length,
+      count: own.reduce((sum, entry) => sum + entry.count, 0) + this.foreign.count,
+      bytes: own.reduce((sum, entry) => sum + entry.bytes, 0) + this.foreign.bytes
+    };
+  }
+
+  /**
+   * Delete every record in the store, after the operations already queued
+   */
+  clear() {
+    this.reset();
+    return this.run(() => this.storage.clear());
+  }
+
+  /**
+   * Forget everything in memory, after the store was cleared
+   */
+  reset() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    this.chunks = [];
+    this.current = null;
+    this.currentEvents = [];
+    this.unwritten.clear();
+    this.unsealed = [];
+    this.foreign = { count: 0, bytes: 0 };
+    this.foreignLogs.clear();
+  }
+
+  /**
+   * Drop expired chunks, then the oldest ones while over maxEvents or maxBytes.
+   * The chunk taking events is kept.
+   */
+  async enforceLimits() {
+    const cutoff = Date.now() - this.maxAge;
+
+    while (this.chunks.length > 0 && this.chunks[0] !== this.current) {
+      const { count, bytes } = this.getStats();
+      const oldest = this.chunks[0];
+      if (oldest.updatedAt >= cutoff && count <= this.maxEvents && bytes <= this.maxBytes) break;
+
+      await this.remove(oldest);
+    }
+  }
+
+  /**
+   * Delete chunks, synced first and then oldest first, until `bytes` are
+   * freed. The chunk taking events and `keepKey` are kept.
+   */
+  async evict(bytes, keepKey = null) {
+    const evictable = this.chunks.filter(entry => entry !== this.current && entry.key !== keepKey);
+    const candidates = [
+      ...evictable.filter(entry => entry.synced),
+      ...evictable.filter(entry => !entry.synced)
+    ];
+
+    let freed = 0;
+    for (const entry of candidates) {
+      if (freed >= bytes) break;
+      freed += entry.bytes;
+      await this.remove(entry);
+    }
+
+    if (freed > 0) {
+      await this.saveIndex();
+    }
+    return freed;
+  }
+
+  /**
+   * Write a record, making room once if the quota is exceeded
+   */
+  async save(key, value, bytes) {
+    try {
+      await this.storage.setItem(key, value);
+      return true;
+    } catch (error) {
+      if (!isQuotaExceeded(error)) throw error;
+    }
+
+    const freed = await this.evict(Math.max(bytes, 1), key);
+    if (freed === 0) return false;
+
+    try {
+      await this.storage.setItem(key, value);
+      return true;
+    } catch (error) {
+      if (!isQuotaExceeded(error)) throw error;
+      return false;
+    }
+  }
+
+  /**
+   * Write this page load's index, or delete it once it has no chunks
+   */
+  async saveIndex() {
+    if (this.chunks.length === 0) {
+      await this.storage.removeItem(this.logKey);
+      return;
+    }
+
+    const saved = await this.save(this.logKey, {
+      writerId: this.writerId,
+      updatedAt: Date.now(),
+      chunks: this.chunks
+    }, 0);
+    if (!saved) {
+      this.log('Local storage full, event index not saved');
+    }
+  }
+
+  /**
+   * Delete a chunk and its entry
+   */
+  async remove(entry) {
+    this.forget(entry);
+    await this.storage.removeItem(entry.key);
+  }
+
+  /**
+   * Drop a chunk's entry from the index
+   */
+  forget(entry) {
+    this.chunks = this.chunks.filter(chunk => chunk !== entry);
+    this.unwritten.delete(entry.key);
+    if (entry === this.current) {
+      this.current = null;
+      this.currentEvents = [];
+    }
+  }
+
+  /**
+   * Run a storage operation after the ones already queued. Never rejects.
+   */
+  run(operation) {
+    this.queue = this.queue.then(operation).catch(error => {
+      this.log('Local storage error', error);
+    });
+    return this.queue;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * SpectraView SDK - Transports
+ *
+ * A transport delivers one request to the backend. It is any object with a
+ * `send(request)` method that resolves to a result:
+ *
+ *   request: { url, method, headers, body, timeout }
+ *   result:  { ok, status, errorType, retryable, headers, body, error }
+ *
+ * `errorType` is null on success, otherwise one of ERROR_TYPES. `retryable`
+ * tells the caller whether sending the same request later may succeed.
+ */
+
+export const ERROR_TYPES = {
+  NETWORK: 'network', // Request never reached the server
+  TIMEOUT: 'timeout', // No response within request.timeout
+  HTTP: 'http', // Server answered with a non-2xx status
+  REJECTED: 'rejected', // Browser refused to queue the request (beacon)
+  UNSUPPORTED: 'unsupported' // Transport not available in this environment
+};
+
+/**
+ * Build a result object with defaults for the missing fields
+ */
+export function createResult(fields) {
+  return {
+    ok: false,
+    status: 0,
+    errorType: null,
+    retryable: false,
+    headers: {},
+    body: null,
+    ...fields
+  };
+}
+
+/**
+ * Classify an HTTP status: 408, 429 and 5xx are worth retrying
+ */
+export function classifyStatus(status) {
+  if (status >= 200 && status < 300) {
+    return createResult({ ok: true, status });
+  }
+
+  return createResult({
+    status,
+    errorType: ERROR_TYPES.HTTP,
+    retryable: status === 408 || status === 429 || status >= 500
+  });
+}
+
+/**
+ * Transport using fetch. With `keepalive` the request survives page unload,
+ * but browsers cap keepalive bodies at 64KB.
+ */
+export function createFetchTransport({ keepalive = false } = {}) {
+  return {
+    name: keepalive ? 'keepalive' : 'fetch',
+
+    async send(request) {
+      if (typeof fetch !== 'function') {
+        return createResult({ errorType: ERROR_TYPES.UNSUPPORTED });
+      }
+
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = controller && request.timeout
+        ? setTimeout(() => controller.abort(), request.timeout)
+        : null;
+
+      try {
+        const response = await fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: request.body,
+          keepalive: keepalive || undefined,
+          signal: controller?.signal
+        });
+
+        const headers = {};
+        response.headers?.forEach((value, name) => {
+          headers[name.toLowerCase()] = value;
+        });
+
+        return {
+          ...classifyStatus(response.status),
+          headers,
+          body: await response.text()
+        };
+      } catch (error) {
+        const timedOut = error?.name === 'AbortError';
+        return createResult({
+          errorType: timedOut ? ERROR_TYPES.TIMEOUT : ERROR_TYPES.NETWORK,
+          retryable: true,
+          error
+        });
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+    }
+  };
+}
+
+/**
+ * Transport using navigator.sendBeacon. Beacons can't carry headers or
+ * report a response, so a queued request counts as success.
+ */
+export function createBeaconTransport() {
+  return {
+    name: 'beacon',
+
+    async send(request) {
+      if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+        return createResult({ errorType: ERROR_TYPES.UNSUPPORTED });
+      }
+
+      const type = request.headers?.['Content-Type'] || 'application/json';
+      const queued = navigator.sendBeacon(request.url, new Blob([request.body], { type }));
+
+      return queued
+        ? createResult({ ok: true })
+        : createResult({ errorType: ERROR_TYPES.REJECTED, retryable: true });
+    }
+  };
+}
+
+const BUILT_IN_TRANSPORTS = {
+  fetch: () => createFetchTransport(),
+  keepalive: () => createFetchTransport({ keepalive: true }),
+  beacon: () => createBeaconTransport()
+};
+
+/**
+ * Resolve a transport option: a built-in name or a custom transport.
+ * Returns null for unknown names.
+ */
+export function resolveTransport(transport) {
+  if (transport && typeof transport.send === 'function') {
+    return transport;
+  }
+
+  const create = BUILT_IN_TRANSPORTS[transport];
+  return create ? create() : null;
+}
+
+/**
+ * Describe a failed result for logs and errors
+ */
+export function describeFailure(result) {
+  const reason = result.errorType || 'unknown';
+  return result.status ? `${reason} error, status: ${result.status}` : `${reason} error`;
+}
@@ -0,0 +1,159 @@
+/**
+ * SpectraView SDK - URL sanitization
+ *
+ * Every URL the SDK records (page URLs, referrers, navigation, network
+ * requests, link targets) goes through here first:
+ *   query      values of denylisted parameters are replaced; with an
+ *              allowlist, every parameter not on it is replaced
+ *   fragment   dropped, or sanitized like the query when it holds parameters
+ *              (`#access_token=...`) or a hash route with its own query
+ *   path       segments that look like identifiers become `:id`, and
+ *              templates like `/reset/:token` name the segments they cover
+ *
+ * Relative URLs stay relative and absolute ones lose any credentials. Only
+ * http(s) URLs are rewritten: mailto:, data: and blob: URLs are returned as
+ * they are.
+ */
+
+import { createKeyMatcher, REDACTED } from './redaction';
+
+// Query and fragment parameters whose values are always replaced. The pattern
+// catches the variants (`reset_token`, `clientSecret`, `X-Amz-Signature`).
+export const DEFAULT_DENY_PARAMS = [
+  'code', 'state', 'email', 'key', 'apiKey', 'sig', 'auth', 'session', 'sessionId', 'otp',
+  /(token|secret|password|signature)$/i
+];
+
+// Segments that identify a record rather than a page
+const ID_SEGMENT_PATTERNS = [
+  /^\d+$/, // 123456
+  /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i, // UUID
+  /^[\da-f]{16,}$/i, // Hashes, Mongo ObjectIds
+  /^(?=.*\d)(?=.*[a-z])[\w-]{20,}$/i // Long opaque tokens mixing letters and digits
+];
+
+const ABSOLUTE_URL = /^[a-z][a-z\d+.-]*:/i;
+
+// An http(s) URL inside free text, and the `:line:column` a stack frame puts after it
+const URL_IN_TEXT = /(https?:\/\/[^\s()'"<>]+?)((?::\d+){1,2})?(?=[\s()'"<>]|$)/gi;
+
+/**
+ * Check whether a path segment looks like an identifier
+ */
+function isIdSegment(segment) {
+  return ID_SEGMENT_PATTERNS.some(pattern => pattern.test(segment));
+}
+
+/**
+ * Decode a URL component, keeping it as is when it isn't valid encoding
+ */
+function decode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Parse a path template into its segments
+ */
+function parseTemplate(template) {
+  return String(template).split('/').filter(Boolean);
+}
+
+/**
+ * Create a URL sanitizer. `redactText` (usually the redactor's) also runs on
+ * the values of parameters that are kept.
+ */
+export function createUrlSanitizer({
+  denyParams = [],
+  allowParams = null,
+  stripFragment = false,
+  pathTemplates = [],
+  templateIds = true,
+  redactText = text => text
+} = {}) {
+  const isDenied = createKeyMatcher([...DEFAULT_DENY_PARAMS, ...denyParams]);
+  const isAllowed = allowParams ? createKeyMatcher(allowParams) : null;
+  const templates = pathTemplates.map(parseTemplate);
+
+  const sanitizeParams = (query) => query.split('&').map(param => {
+    const separator = param.indexOf('=');
+    if (separator === -1) return param; // Flags like `?debug` carry no value
+
+    const name = param.slice(0, separator);
+    const key = decode(name);
+    if (isAllowed ? !isAllowed(key) : isDenied(key)) {
+      return `${name}=${REDACTED}`;
+    }
+
+    // Kept values still go through the redactor, re-encoded only when it changed them
+    const value = param.slice(separator + 1);
+    const redacted = redactText(decode(value));
+    return `${name}=${redacted === decode(value) ? value : encodeURIComponent(redacted).replace(/%5B/g, '[').replace(/%5D/g, ']')}`;
+  }).join('&');
+
+  const sanitizePath = (path) => {
+    const segments = path.split('/');
+    const named = segments.filter(Boolean);
+
+    // The first template with the same shape wins
+    const template = templates.find(parts => parts.length === named.length &&
+      parts.every((part, i) => part.startsWith(':') || part === named[i]));
+    if (template) {
+      let index = 0;
+      return segments.map(segment => (segment ? template[index++] : segment)).join('/');
+    }
+
+    if (!templateIds) return path;
+    return segments.map(segment => (segment && isIdSegment(decode(segment)) ? ':id' : segment)).join('/');
+  };
+
+  // A fragment holds either parameters, or a hash route that may carry a query
+  const sanitizeFragment = (fragment) => {
+    if (stripFragment || !fragment) return '';
+
+    const queryStart = fragment.indexOf('?');
+    if (queryStart !== -1) {
+      return `#${sanitizePath(fragment.slice(0, queryStart))}?${sanitizeParams(fragment.slice(queryStart + 1))}`;
+    }
+    if (fragment.includes('=')) {
+      return `#${sanitizeParams(fragment)}`;
+    }
+    return `#${fragment.startsWith('/') ? sanitizePath(fragment) : fragment}`;
+  };
+
+  const sanitize = (url) => {
+    if (typeof url !== 'string' && !(url instanceof URL)) return url;
+
+    const text = String(url);
+    if (!text) return text;
+
+    // Relative URLs are split by hand so they keep their form
+    if (!ABSOLUTE_URL.test(text) && !text.startsWith('//')) {
+      const [, path, query, fragment] = text.match(/^([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/);
+      return `${sanitizePath(path)}${query !== undefined ? `?${sanitizeParams(query)}` : ''}${sanitizeFragment(fragment)}`;
+    }
+    if (!/^(https?:)?\/\//i.test(text)) return text;
+
+    let parsed;
+    try {
+      parsed = new URL(text, 'https://localhost/');
+    } catch (error) {
+      // Unparseable: keep only what comes before the query and fragment
+      return text.split(/[?#]/)[0];
+    }
+
+    const search = parsed.search ? `?${sanitizeParams(parsed.search.slice(1))}` : '';
+    const origin = text.startsWith('//') ? `//${parsed.host}` : parsed.origin;
+    return `${origin}${sanitizePath(parsed.pathname)}${search}${sanitizeFragment(parsed.hash.slice(1))}`;
+  };
+
+  // URLs inside text such as stack traces; line and column stay out of the query
+  const sanitizeText = (text) => (typeof text === 'string'
+    ? text.replace(URL_IN_TEXT, (match, url, position = '') => `${sanitize(url)}${position}`)
+    : text);
+
+  return { sanitize, sanitizeText };
+}
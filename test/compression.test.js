@@ -0,0 +1,73 @@
+import zlib from 'zlib';
+import { CompressionStream as NodeCompressionStream } from 'stream/web';
+import { TextEncoder as NodeTextEncoder } from 'util';
+import pako from 'pako';
+import { gzip, gzipSync, hasNativeCompression, toBase64 } from '../src/compression';
+
+describe('Compression', () => {
+  describe('toBase64', () => {
+    test('should encode bytes as base64', () => {
+      const bytes = new Uint8Array([104, 101, 108, 108, 111]);
+
+      expect(toBase64(bytes)).toBe('aGVsbG8=');
+    });
+
+    test('should encode large payloads without overflowing the stack', () => {
+      const bytes = new Uint8Array(500000).map((_, i) => i % 256);
+
+      expect(toBase64(bytes)).toBe(Buffer.from(bytes).toString('base64'));
+    });
+  });
+
+  describe('gzip', () => {
+    afterEach(() => {
+      delete global.CompressionStream;
+    });
+
+    test('should use pako without CompressionStream', async () => {
+      expect(hasNativeCompression()).toBe(false);
+
+      await gzip('{"events":[]}');
+
+      expect(pako.gzip).toHaveBeenCalledWith('{"events":[]}');
+    });
+
+    test('should use the native CompressionStream when available', async () => {
+      global.CompressionStream = NodeCompressionStream;
+      const hadTextEncoder = typeof TextEncoder !== 'undefined';
+      if (!hadTextEncoder) global.TextEncoder = NodeTextEncoder;
+
+      const text = JSON.stringify({ events: [{ type: 2, data: 'x'.repeat(10000) }] });
+      const bytes = await gzip(text);
+
+      expect(pako.gzip).not.toHaveBeenCalled();
+      expect(zlib.gunzipSync(Buffer.from(bytes)).toString()).toBe(text);
+
+      if (!hadTextEncoder) delete global.TextEncoder;
+    });
+
+    test('should reject when writing to the stream fails', async () => {
+      global.CompressionStream = class {
+        constructor() {
+          this.writable = {
+            getWriter: () => ({ write: () => Promise.reject(new Error('write failed')), close: jest.fn() })
+          };
+          // The output never ends, so only the failed write can settle gzip
+          this.readable = { getReader: () => ({ read: () => new Promise(() => {}) }) };
+        }
+      };
+      const hadTextEncoder = typeof TextEncoder !== 'undefined';
+      if (!hadTextEncoder) global.TextEncoder = NodeTextEncoder;
+
+      await expect(gzip('{"events":[]}')).rejects.toThrow('write failed');
+
+      if (!hadTextEncoder) delete global.TextEncoder;
+    });
+
+    test('should gzip synchronously with pako', () => {
+      gzipSync('{"events":[]}');
+
+      expect(pako.gzip).toHaveBeenCalledWith('{"events":[]}');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { getDetectorPack, isValidClabe, isValidDui, isValidIban, registerDetectorPack } from '../src/detectors';
+import { createRedactor } from '../src/redaction';
+
+describe('Detectors', () => {
+  describe('checksums', () => {
+    test('should validate CLABE check digits', () => {
+      expect(isValidClabe('002010077777777771')).toBe(true);
+      expect(isValidClabe('002 010 07777777777 1')).toBe(true);
+      expect(isValidClabe('002010077777777772')).toBe(false);
+      expect(isValidClabe('00201007777777777')).toBe(false);
+    });
+
+    test('should validate IBANs with mod-97', () => {
+      expect(isValidIban('GB82 WEST 1234 5698 7654 32')).toBe(true);
+      expect(isValidIban('DE89370400440532013000')).toBe(true);
+      expect(isValidIban('GB83 WEST 1234 5698 7654 32')).toBe(false);
+    });
+
+    test('should validate DUI check digits', () => {
+      expect(isValidDui('04567890-3')).toBe(true);
+      expect(isValidDui('04567890-4')).toBe(false);
+    });
+  });
+
+  describe('packs', () => {
+    const redact = (packs, text) => createRedactor({ packs }).redactText(text);
+
+    test('should detect Mexican CURP, RFC and CLABE', () => {
+      expect(redact(['mx'], 'CURP GODE561231HDFRRN09, RFC GODE561231GR8, empresa ABC680524P76'))
+        .toBe('CURP [CURP], RFC [RFC], empresa [RFC]');
+      expect(redact(['mx'], 'CLABE 002 010 07777777777 1')).toBe('CLABE [CLABE]');
+      expect(redact(['mx'], 'Pedido 123456789012345678')).toBe('Pedido 123456789012345678');
+    });
+
+    test('should detect IBANs and international phone numbers', () => {
+      expect(redact(['iban'], 'IBAN GB82 WEST 1234 5698 7654 32.')).toBe('IBAN [IBAN].');
+      expect(redact(['e164'], 'Tel +52 55 1234 5678 o +50422345678')).toBe('Tel [PHONE] o [PHONE]');
+    });
+
+    test('should detect Central American national IDs', () => {
+      expect(redact(['gt'], 'DPI 2563 12345 0101')).toBe('DPI [DPI]');
+      expect(redact(['gt'], 'Ref 2563 12345 9901')).toBe('Ref 2563 12345 9901');
+      expect(redact(['sv'], 'DUI 04567890-3')).toBe('DUI [DUI]');
+      expect(redact(['hn'], 'DNI 0801-1990-12345')).toBe('DNI [DNI]');
+      expect(redact(['ni'], 'Cédula 001-010190-0001A')).toBe('Cédula [CEDULA]');
+      expect(redact(['cr'], 'Cédula 1-0234-0567')).toBe('Cédula [CEDULA]');
+      expect(redact(['pa'], 'Cédula 8-123-456 y PE-12-345')).toBe('Cédula [CEDULA] y [CEDULA]');
+    });
+
+    test('should only apply the selected packs', () => {
+      expect(redact([], 'SSN 123-45-6789, CURP GODE561231HDFRRN09')).toBe('SSN 123-45-6789, CURP GODE561231HDFRRN09');
+      expect(redact(['us'], 'SSN 123-45-6789, CURP GODE561231HDFRRN09')).toBe('SSN [SSN], CURP GODE561231HDFRRN09');
+    });
+
+    test('should report unknown packs', () => {
+      const onUnknownPack = jest.fn();
+
+      createRedactor({ packs: ['us', 'xx'], onUnknownPack });
+
+      expect(onUnknownPack).toHaveBeenCalledWith('xx');
+    });
+  });
+
+  describe('registerDetectorPack', () => {
+    test('should add packs that redactors can select', () => {
+      registerDetectorPack('co', [{ name: 'nit', pattern: /\b\d{9}-\d\b/g, replacement: '[NIT]' }]);
+
+      expect(getDetectorPack('co')).toHaveLength(1);
+      expect(getDetectorPack('missing')).toBeNull();
+      expect(createRedactor({ packs: ['co'] }).redactText('NIT 900123456-7')).toBe('NIT [NIT]');
+    });
+  });
+});
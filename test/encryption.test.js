@@ -0,0 +1,107 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder as NodeTextEncoder, TextDecoder as NodeTextDecoder } from 'util';
+import { createEncryptedStorage, isEncryptionSupported, loadKey } from '../src/encryption';
+
+describe('Encryption', () => {
+  const originalCrypto = global.crypto;
+
+  const createMemoryStore = () => {
+    const data = new Map();
+    return {
+      data,
+      setItem: jest.fn(async (key, value) => data.set(key, value)),
+      getItem: jest.fn(async key => (data.has(key) ? data.get(key) : null)),
+      removeItem: jest.fn(async key => data.delete(key)),
+      keys: jest.fn(async () => [...data.keys()]),
+      clear: jest.fn(async () => data.clear())
+    };
+  };
+
+  const rawText = record => Buffer.from(record.data).toString('latin1');
+
+  beforeEach(() => {
+    Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true, writable: true });
+    global.TextEncoder = NodeTextEncoder;
+    global.TextDecoder = NodeTextDecoder;
+  });
+
+  afterEach(() => {
+    Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true, writable: true });
+    delete global.TextEncoder;
+    delete global.TextDecoder;
+  });
+
+  test('should need WebCrypto', () => {
+    expect(isEncryptionSupported()).toBe(true);
+
+    Object.defineProperty(global, 'crypto', { value: undefined, configurable: true, writable: true });
+    expect(isEncryptionSupported()).toBe(false);
+  });
+
+  describe('loadKey', () => {
+    test('should create a non-extractable key once per installation', async () => {
+      const keyStore = createMemoryStore();
+
+      const key = await loadKey(keyStore);
+
+      expect(key.algorithm.name).toBe('AES-GCM');
+      expect(key.extractable).toBe(false);
+      await expect(webcrypto.subtle.exportKey('raw', key)).rejects.toThrow();
+      expect(await loadKey(keyStore)).toBe(key);
+    });
+
+    test('should give up when the store cannot keep the key', async () => {
+      const keyStore = createMemoryStore();
+      keyStore.getItem.mockResolvedValue('[object CryptoKey]');
+
+      expect(await loadKey(keyStore)).toBeNull();
+    });
+  });
+
+  describe('createEncryptedStorage', () => {
+    let storage;
+    let key;
+
+    beforeEach(async () => {
+      storage = createMemoryStore();
+      key = await loadKey(createMemoryStore());
+    });
+
+    test('should only write ciphertext and read back the value', async () => {
+      const encrypted = createEncryptedStorage(storage, key);
+      const value = { payload: { customEvents: [{ data: { orderId: 'order-123' } }] } };
+
+      await encrypted.setItem('batch_1', value);
+
+      const raw = storage.data.get('batch_1');
+      expect(raw.encrypted).toBe(1);
+      expect(raw.iv).toHaveLength(12);
+      expect(rawText(raw)).not.toContain('order-123');
+      expect(await encrypted.getItem('batch_1')).toEqual(value);
+      expect(await encrypted.getItem('missing')).toBeNull();
+    });
+
+    test('should use a fresh IV for every write', async () => {
+      const encrypted = createEncryptedStorage(storage, key);
+
+      await encrypted.setItem('a', { same: true });
+      await encrypted.setItem('b', { same: true });
+
+      expect(storage.data.get('a').iv).not.toEqual(storage.data.get('b').iv);
+    });
+
+    test('should discard values it cannot decrypt', async () => {
+      const onDiscard = jest.fn();
+      const otherKey = await loadKey(createMemoryStore());
+      await createEncryptedStorage(storage, otherKey).setItem('batch_1', { secret: true });
+      storage.data.set('batch_2', { payload: { legacy: 'plain text' } });
+
+      const encrypted = createEncryptedStorage(storage, key, { onDiscard });
+
+      expect(await encrypted.getItem('batch_1')).toBeNull();
+      expect(await encrypted.getItem('batch_2')).toBeNull();
+      expect(onDiscard).toHaveBeenCalledTimes(2);
+      expect(storage.data.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { LiveStream } from '../src/live';
+
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.bufferedAmount = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = FakeWebSocket.CLOSED;
+  }
+
+  // Test helpers
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen();
+  }
+
+  receive(data) {
+    this.onmessage({ data: JSON.stringify(data) });
+  }
+
+  drop() {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose();
+  }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSED = 3;
+
+describe('LiveStream', () => {
+  let originalWebSocket;
+  let onSnapshotRequest;
+
+  const createStream = (options = {}) => new LiveStream({
+    url: 'ws://api.test.com/api/sessions/test-session/live',
+    sessionId: 'test-session',
+    onSnapshotRequest,
+    ...options
+  });
+
+  const socket = () => FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+  const sentEvents = (ws = socket()) => ws.sent.filter(message => message.type === 'event');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    originalWebSocket = global.WebSocket;
+    global.WebSocket = FakeWebSocket;
+    FakeWebSocket.instances = [];
+    onSnapshotRequest = jest.fn();
+  });
+
+  afterEach(() => {
+    global.WebSocket = originalWebSocket;
+    jest.useRealTimers();
+  });
+
+  test('should say hello and ask for a snapshot when first connected', () => {
+    const stream = createStream();
+    stream.start();
+    socket().open();
+
+    expect(socket().sent[0]).toEqual({ type: 'hello', sessionId: 'test-session', resumeFrom: 0 });
+    expect(onSnapshotRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stream events in sequence once open', () => {
+    const stream = createStream();
+    stream.start();
+
+    stream.send('custom', { eventType: 'before_open' });
+    expect(socket().sent).toHaveLength(0);
+
+    socket().open();
+    stream.send('rrweb', { type: 3 });
+
+    expect(sentEvents()).toEqual([
+      { type: 'event', sequence: 0, kind: 'custom', data: { eventType: 'before_open' } },
+      { type: 'event', sequence: 1, kind: 'rrweb', data: { type: 3 } }
+    ]);
+  });
+
+  test('should hold events while the socket buffer is full', () => {
+    const stream = createStream({ maxBufferedAmount: 100 });
+    stream.start();
+    socket().open();
+
+    socket().bufferedAmount = 500;
+    stream.send('rrweb', { type: 3 });
+    expect(sentEvents()).toHaveLength(0);
+
+    socket().bufferedAmount = 0;
+    jest.advanceTimersByTime(100);
+    expect(sentEvents()).toHaveLength(1);
+  });
+
+  test('should drop the backlog and resync when it overflows', () => {
+    const stream = createStream({ maxBufferedAmount: 100, maxQueueSize: 3 });
+    stream.start();
+    socket().open();
+    onSnapshotRequest.mockClear();
+
+    socket().bufferedAmount = 500;
+    [1, 2, 3, 4].forEach(timestamp => stream.send('rrweb', { timestamp }));
+
+    expect(stream.queue).toHaveLength(0);
+    expect(onSnapshotRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reconnect and resend unacknowledged events', () => {
+    const stream = createStream();
+    stream.start();
+    socket().open();
+
+    stream.send('rrweb', { timestamp: 1 });
+    stream.send('rrweb', { timestamp: 2 });
+    socket().receive({ type: 'ack', sequence: 0 });
+    socket().drop();
+
+    stream.send('rrweb', { timestamp: 3 });
+    jest.advanceTimersByTime(1000);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    onSnapshotRequest.mockClear();
+    socket().open();
+
+    expect(socket().sent[0]).toEqual({ type: 'hello', sessionId: 'test-session', resumeFrom: 1 });
+    expect(sentEvents().map(message => message.sequence)).toEqual([1, 2]);
+    expect(onSnapshotRequest).not.toHaveBeenCalled();
+  });
+
+  test('should send a snapshot when a viewer asks for one', () => {
+    const stream = createStream();
+    stream.start();
+    socket().open();
+    onSnapshotRequest.mockClear();
+
+    socket().receive({ type: 'snapshot' });
+
+    expect(onSnapshotRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop for good when the server says so', () => {
+    const onStop = jest.fn();
+    const stream = createStream({ onStop });
+    stream.start();
+    socket().open();
+
+    socket().receive({ type: 'stop' });
+    jest.advanceTimersByTime(60000);
+
+    expect(onStop).toHaveBeenCalled();
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+
+  test('should not reconnect after stop', () => {
+    const stream = createStream();
+    stream.start();
+    socket().open();
+
+    stream.stop();
+    jest.advanceTimersByTime(60000);
+
+    expect(socket().readyState).toBe(FakeWebSocket.CLOSED);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+  });
+});
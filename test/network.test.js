@@ -0,0 +1,43 @@
+import { getBatchingSettings, getConnection, getNetworkConditions } from '../src/network';
+
+describe('Network', () => {
+  afterEach(() => {
+    delete navigator.onLine;
+    delete navigator.connection;
+  });
+
+  describe('getNetworkConditions', () => {
+    test('should count browsers without navigator.onLine as online', () => {
+      expect(getConnection()).toBeNull();
+      expect(getNetworkConditions()).toEqual({ online: true, effectiveType: null, saveData: false });
+    });
+
+    test('should read navigator.onLine and the Network Information API', () => {
+      navigator.onLine = false;
+      navigator.connection = { effectiveType: '3g', saveData: true };
+
+      expect(getNetworkConditions()).toEqual({ online: false, effectiveType: '3g', saveData: true });
+    });
+  });
+
+  describe('getBatchingSettings', () => {
+    const config = { batchSize: 50, flushInterval: 30000 };
+
+    test('should keep the configured settings on fast or unknown connections', () => {
+      expect(getBatchingSettings(config, { effectiveType: '4g', saveData: false })).toEqual(config);
+      expect(getBatchingSettings(config, { effectiveType: null, saveData: false })).toEqual(config);
+    });
+
+    test('should send fewer, larger batches on slow connections', () => {
+      expect(getBatchingSettings(config, { effectiveType: '3g', saveData: false }))
+        .toEqual({ batchSize: 100, flushInterval: 60000 });
+      expect(getBatchingSettings(config, { effectiveType: '2g', saveData: false }))
+        .toEqual({ batchSize: 200, flushInterval: 120000 });
+    });
+
+    test('should slow down as much as 2g in data saver mode', () => {
+      expect(getBatchingSettings(config, { effectiveType: '4g', saveData: true }))
+        .toEqual({ batchSize: 200, flushInterval: 120000 });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { applyPrivacyRules, createPrivacyRules, getPrivateText, maskText } from '../src/privacy';
+
+describe('Privacy', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('createPrivacyRules', () => {
+    test('should build selector lists from attributes, classes and selectors', () => {
+      const rules = createPrivacyRules({
+        blockClass: 'spectra-block',
+        blockSelector: '#ads',
+        maskTextClass: 'spectra-mask',
+        maskSelector: ['.balance']
+      });
+
+      expect(rules.blockSelector).toBe('[data-spectra-block], .spectra-block, #ads');
+      expect(rules.maskTextSelector).toBe('[data-spectra-mask], .spectra-mask, .balance');
+      expect(createPrivacyRules({ maskTextContent: true }).maskTextSelector).toBe('*');
+    });
+
+    test('should let the nearest marker win', () => {
+      document.body.innerHTML = `
+        <section data-spectra-mask>
+          <div data-spectra-unmask>
+            <p id="unmasked">Total</p>
+            <span data-spectra-mask><b id="masked">Jane</b></span>
+          </div>
+        </section>
+        <p id="both" data-spectra-mask data-spectra-unmask>Both</p>`;
+      const rules = createPrivacyRules();
+
+      expect(rules.isTextMasked(document.getElementById('unmasked'))).toBe(false);
+      expect(rules.isTextMasked(document.getElementById('masked'))).toBe(true);
+      expect(rules.isTextMasked(document.getElementById('both'))).toBe(true);
+    });
+
+    test('should let unmask override global masking but never for passwords', () => {
+      document.body.innerHTML = `
+        <form class="public">
+          <input id="email">
+          <input id="password" type="password">
+          <input id="iban" class="iban">
+        </form>
+        <input id="other">`;
+      const rules = createPrivacyRules({
+        maskAllInputs: true,
+        maskInputSelector: '.iban',
+        unmaskSelector: '.public'
+      });
+      const byId = id => document.getElementById(id);
+
+      expect(rules.isInputMasked(byId('email'))).toBe(false);
+      expect(rules.isInputMasked(byId('password'))).toBe(true);
+      expect(rules.isInputMasked(byId('iban'))).toBe(true);
+      expect(rules.isInputMasked(byId('other'))).toBe(true);
+      expect(rules.isTextMasked(byId('iban'))).toBe(false); // Input selectors leave text alone
+    });
+
+    test('should report invalid selectors and keep the valid ones', () => {
+      document.body.innerHTML = '<div class="widget"><p id="inside">Hi</p></div>';
+      const onInvalidSelector = jest.fn();
+
+      const rules = createPrivacyRules({ blockSelector: ['div[', '.widget'], onInvalidSelector });
+
+      expect(onInvalidSelector).toHaveBeenCalledWith('div[');
+      expect(rules.isBlocked(document.getElementById('inside'))).toBe(true);
+    });
+  });
+
+  describe('applyPrivacyRules', () => {
+    let nodes;
+    const mirror = { getNode: id => nodes[id] || null };
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div data-spectra-unmask><p id="public">Plan: Pro</p><input id="coupon" value="SPRING24"></div>
+        <p id="private" data-spectra-mask>Jane Doe</p>`;
+      const byId = id => document.getElementById(id);
+      nodes = { 1: byId('public').firstChild, 2: byId('private').firstChild, 3: byId('coupon') };
+    });
+
+    test('should restore unmasked content and mask marked content in mutations', () => {
+      const rules = createPrivacyRules({ maskTextContent: true, maskAllInputs: true });
+
+      const result = applyPrivacyRules({
+        type: 3,
+        data: {
+          source: 0,
+          texts: [{ id: 1, value: '*****' }, { id: 2, value: 'Jane Doe' }],
+          attributes: [{ id: 3, attributes: { value: '********' } }],
+          adds: [{ parentId: 9, nextId: null, node: { type: 3, id: 1, textContent: '**** ***' } }],
+          removes: []
+        }
+      }, rules, mirror);
+
+      expect(result.data.texts).toEqual([{ id: 1, value: 'Plan: Pro' }, { id: 2, value: '**** ***' }]);
+      expect(result.data.attributes[0].attributes.value).toBe('SPRING24');
+      expect(result.data.adds[0].node.textContent).toBe('Plan: Pro');
+    });
+
+    test('should keep what rrweb recorded for nodes it cannot find', () => {
+      const rules = createPrivacyRules({ maskTextContent: true });
+      const event = { type: 3, data: { source: 5, id: 42, text: '****', isChecked: false } };
+
+      expect(applyPrivacyRules(event, rules, mirror).data.text).toBe('****');
+      expect(applyPrivacyRules(event, rules, undefined)).toBe(event);
+    });
+
+    test('should not modify the original event', () => {
+      const rules = createPrivacyRules();
+      const event = { type: 2, data: { node: { type: 0, childNodes: [{ type: 3, id: 2, textContent: 'Jane Doe' }] } } };
+
+      const result = applyPrivacyRules(event, rules, mirror);
+
+      expect(result.data.node.childNodes[0].textContent).toBe('**** ***');
+      expect(event.data.node.childNodes[0].textContent).toBe('Jane Doe');
+    });
+  });
+
+  describe('getPrivateText', () => {
+    test('should leave out blocked text and mask masked text, keeping the rest', () => {
+      document.body.innerHTML = '<div id="card">Hi <b data-spectra-mask>Jane</b><i data-spectra-block>secret</i>!</div>';
+
+      const text = getPrivateText(document.getElementById('card'), createPrivacyRules());
+
+      expect(text).toBe('Hi ****!');
+    });
+
+    test('should stop at the maximum length', () => {
+      document.body.innerHTML = '<p id="long">abcdef</p>';
+
+      expect(getPrivateText(document.getElementById('long'), createPrivacyRules(), 3)).toBe('abc');
+    });
+  });
+
+  describe('maskText', () => {
+    test('should keep whitespace so the layout survives', () => {
+      expect(maskText('Jane Doe\n42')).toBe('**** ***\n**');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { createRedactor, isValidLuhn, redactReplayEvent, REDACTED } from '../src/redaction';
+
+describe('Redaction', () => {
+  describe('isValidLuhn', () => {
+    test('should accept valid card numbers with or without separators', () => {
+      expect(isValidLuhn('4111111111111111')).toBe(true);
+      expect(isValidLuhn('4111 1111 1111 1111')).toBe(true);
+      expect(isValidLuhn('5500-0000-0000-0004')).toBe(true);
+      expect(isValidLuhn('378282246310005')).toBe(true); // 15-digit Amex
+    });
+
+    test('should reject numbers that fail the checksum or have the wrong length', () => {
+      expect(isValidLuhn('1234567812345678')).toBe(false);
+      expect(isValidLuhn('4111111111111112')).toBe(false);
+      expect(isValidLuhn('411111111111')).toBe(false);
+    });
+  });
+
+  describe('default rules', () => {
+    const redactor = createRedactor();
+
+    test('should replace cards, SSNs, emails and phones', () => {
+      expect(redactor.redactText('card 4111 1111 1111 1111')).toBe('card [CARD]');
+      expect(redactor.redactText('ssn 123-45-6789')).toBe('ssn [SSN]');
+      expect(redactor.redactText('mail jane.doe@example.com')).toBe('mail [EMAIL]');
+      expect(redactor.redactText('call 555-123-4567')).toBe('call [PHONE]');
+    });
+
+    test('should keep long numbers that are not valid cards', () => {
+      expect(redactor.redactText('Order 1234567812345678 shipped')).toBe('Order 1234567812345678 shipped');
+      expect(redactor.redactText('Order 1234-5678-1234-5678')).toBe('Order 1234-5678-1234-5678');
+    });
+  });
+
+  describe('custom rules', () => {
+    test('should apply rules with their replacement labels', () => {
+      const redactor = createRedactor({
+        rules: [
+          { pattern: /\bORD-\d+\b/, replacement: '[ORDER]' },
+          { pattern: 'EMP\\d{5}', replacement: '[EMPLOYEE]' }
+        ]
+      });
+
+      expect(redactor.redactText('ORD-991 and ORD-992 by EMP12345')).toBe('[ORDER] and [ORDER] by [EMPLOYEE]');
+    });
+
+    test('should support replacement functions and validators', () => {
+      const redactor = createRedactor({
+        rules: [{
+          pattern: /\b[A-Z]{2}\d{6}\b/,
+          replacement: match => `${match.slice(0, 2)}******`,
+          validate: match => match.startsWith('X')
+        }]
+      });
+
+      expect(redactor.redactText('XY123456 AB123456')).toBe('XY****** AB123456');
+    });
+
+    test('should default the label and report invalid patterns', () => {
+      const onInvalidRule = jest.fn();
+      const redactor = createRedactor({
+        rules: [{ pattern: 'secret-\\w+' }, { pattern: '(', replacement: '[BROKEN]' }],
+        onInvalidRule
+      });
+
+      expect(redactor.redactText('secret-abc')).toBe(REDACTED);
+      expect(onInvalidRule).toHaveBeenCalledWith(expect.objectContaining({ pattern: '(' }), expect.any(Error));
+    });
+  });
+
+  describe('keys', () => {
+    test('should replace values under denylisted keys whatever they contain', () => {
+      const redactor = createRedactor({ redactKeys: ['memberNumber', /^x-internal-/i] });
+
+      const result = redactor.redact({
+        password: 'hunter2',
+        Authorization: 'Bearer abc',
+        api_key: 'k-123',
+        card: { CVV: 123 },
+        memberNumber: 'A1',
+        'X-Internal-Trace': 't',
+        name: 'Jane'
+      });
+
+      expect(result).toEqual({
+        password: REDACTED,
+        Authorization: REDACTED,
+        api_key: REDACTED,
+        card: { CVV: REDACTED },
+        memberNumber: REDACTED,
+        'X-Internal-Trace': REDACTED,
+        name: 'Jane'
+      });
+    });
+
+    test('should never scrub safe keys, even denylisted ones', () => {
+      const redactor = createRedactor({ safeKeys: ['supportEmail', 'token'] });
+
+      const result = redactor.redact({
+        supportEmail: 'help@example.com',
+        token: 'public-widget-token',
+        contact: 'jane@example.com'
+      });
+
+      expect(result).toEqual({
+        supportEmail: 'help@example.com',
+        token: 'public-widget-token',
+        contact: '[EMAIL]'
+      });
+      expect(redactor.isRedactedKey('token')).toBe(false);
+      expect(redactor.isRedactedKey('password')).toBe(true);
+    });
+
+    test('should not modify the original data', () => {
+      const data = { password: 'hunter2', list: ['jane@example.com'] };
+
+      createRedactor().redact(data);
+
+      expect(data).toEqual({ password: 'hunter2', list: ['jane@example.com'] });
+    });
+  });
+
+  describe('redactReplayEvent', () => {
+    const { redactText } = createRedactor();
+
+    test('should redact text and attributes in full snapshots but keep styles', () => {
+      const event = {
+        type: 2,
+        timestamp: 1000,
+        data: {
+          node: {
+            type: 0,
+            childNodes: [{
+              type: 2,
+              tagName: 'div',
+              attributes: { title: 'jane@example.com', style: 'width: 5551234567px', href: 'mailto:jane@example.com' },
+              childNodes: [
+                { type: 3, textContent: 'Call 555-123-4567' },
+                { type: 3, textContent: '.a::after { content: "jane@example.com" }', isStyle: true },
+                { type: 5, textContent: 'owner jane@example.com' }
+              ]
+            }]
+          }
+        }
+      };
+
+      const redacted = redactReplayEvent(event, redactText);
+      const div = redacted.data.node.childNodes[0];
+
+      expect(div.attributes).toEqual({ title: '[EMAIL]', style: 'width: 5551234567px', href: 'mailto:[EMAIL]' });
+      expect(div.childNodes[0].textContent).toBe('Call [PHONE]');
+      expect(div.childNodes[1].textContent).toContain('jane@example.com');
+      expect(div.childNodes[2].textContent).toBe('owner [EMAIL]');
+    });
+
+    test('should redact mutations and input values', () => {
+      const mutation = redactReplayEvent({
+        type: 3,
+        data: {
+          source: 0,
+          texts: [{ id: 1, value: 'jane@example.com' }],
+          attributes: [{ id: 2, attributes: { value: '4111 1111 1111 1111', src: 'data:image/png;base64,AAAA' } }],
+          adds: [{ parentId: 1, nextId: null, node: { type: 3, textContent: 'SSN 123-45-6789' } }],
+          removes: []
+        }
+      }, redactText);
+
+      expect(mutation.data.texts[0].value).toBe('[EMAIL]');
+      expect(mutation.data.attributes[0].attributes).toEqual({ value: '[CARD]', src: 'data:image/png;base64,AAAA' });
+      expect(mutation.data.adds[0].node.textContent).toBe('SSN [SSN]');
+
+      const input = redactReplayEvent({ type: 3, data: { source: 5, id: 3, text: 'jane@example.com', isChecked: false } }, redactText);
+      expect(input.data).toEqual({ source: 5, id: 3, text: '[EMAIL]', isChecked: false });
+    });
+
+    test('should leave other events and the original event untouched', () => {
+      const mouseMove = { type: 3, data: { source: 1, positions: [] } };
+      const snapshot = { type: 2, data: { node: { type: 3, textContent: 'jane@example.com' } } };
+
+      expect(redactReplayEvent(mouseMove, redactText)).toBe(mouseMove);
+      redactReplayEvent(snapshot, redactText);
+      expect(snapshot.data.node.textContent).toBe('jane@example.com');
+    });
+  });
+});
@@ -43,6 +43,10 @@ jest.mock('pako', () => ({
     // Simular compresión retornando un Uint8Array
     return new Uint8Array(Buffer.from(JSON.stringify(data)));
   }),
+  gzip: jest.fn((data) => {
+    // Simular gzip retornando los bytes del string
+    return new Uint8Array(Buffer.from(data));
+  }),
   inflate: jest.fn((data) => {
     // Simular descompresión
     return JSON.parse(Buffer.from(data).toString());
@@ -107,6 +111,10 @@ Object.defineProperty(window, 'screen', {
   writable: true
 });
 
+// jsdom does not implement object URLs
+URL.createObjectURL = jest.fn(() => 'blob:http://localhost/test');
+URL.revokeObjectURL = jest.fn();
+
 // Reset mocks before each test
 beforeEach(() => {
   fetchMock.reset();
@@ -1,4 +1,8 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder as NodeTextEncoder, TextDecoder as NodeTextDecoder } from 'util';
 import fetchMock from 'fetch-mock-jest';
+import * as rrweb from 'rrweb';
+import localforage from 'localforage';
 import SpectraView from '../src/spectraview';
 
 describe('SpectraView SDK', () => {
@@ -345,6 +349,1628 @@ describe('SpectraView SDK', () => {
     });
   });
 
+  describe('Transports', () => {
+    const createCustomTransport = () => ({
+      send: jest.fn().mockResolvedValue({ ok: true, status: 200 })
+    });
+
+    afterEach(() => {
+      delete navigator.sendBeacon;
+    });
+
+    test('should send every endpoint through a custom transport', async () => {
+      const transport = createCustomTransport();
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app',
+        transport
+      });
+
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+      await SpectraView.sendHeartbeat();
+      const sessionId = SpectraView.sessionId;
+      SpectraView.stop();
+
+      const urls = transport.send.mock.calls.map(([request]) => request.url);
+      expect(urls).toEqual(expect.arrayContaining([
+        'http://api.test.com/api/sessions/start',
+        `http://api.test.com/api/sessions/${sessionId}/events`,
+        `http://api.test.com/api/sessions/${sessionId}/heartbeat`,
+        `http://api.test.com/api/sessions/${sessionId}/end`
+      ]));
+      expect(fetchMock.calls()).toHaveLength(0);
+
+      transport.send.mock.calls.forEach(([request]) => {
+        expect(request).toMatchObject({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-key' },
+          timeout: 10000
+        });
+      });
+    });
+
+    test('should send the final batch through the unload transport', async () => {
+      fetchMock.post(/.*/, { success: true });
+      navigator.sendBeacon = jest.fn(() => true);
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app'
+      });
+
+      SpectraView.capture('test_event', {});
+      SpectraView.flushSync();
+
+      // Beacons can't set headers, so the API key travels in the query string
+      expect(navigator.sendBeacon).toHaveBeenCalledWith(
+        `http://api.test.com/api/sessions/${SpectraView.sessionId}/events?apiKey=test-key`,
+        expect.any(Blob)
+      );
+    });
+
+    test('should use a custom transport on unload unless told otherwise', async () => {
+      const transport = createCustomTransport();
+      navigator.sendBeacon = jest.fn(() => true);
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app',
+        transport
+      });
+
+      SpectraView.capture('test_event', {});
+      SpectraView.flushSync();
+
+      expect(navigator.sendBeacon).not.toHaveBeenCalled();
+      expect(transport.send).toHaveBeenLastCalledWith(expect.objectContaining({
+        url: `http://api.test.com/api/sessions/${SpectraView.sessionId}/events`
+      }));
+    });
+
+    test('should queue the batch when a custom transport throws', async () => {
+      const transport = {
+        send: jest.fn(request => {
+          if (request.url.endsWith('/events')) throw new Error('IPC channel closed');
+          return { ok: true, status: 200 };
+        })
+      };
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app',
+        transport
+      });
+
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+
+      const [, record] = SpectraView.storage.setItem.mock.calls.find(([key]) => key.startsWith('batch_'));
+      expect(record.payload.customEvents.some(e => e.eventType === 'test_event')).toBe(true);
+    });
+
+    test('should fall back to fetch for unknown transports', async () => {
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app',
+        transport: 'carrier-pigeon'
+      });
+
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Unknown transport "carrier-pigeon"')
+      );
+      expect(fetchMock.called('http://api.test.com/api/sessions/start')).toBe(true);
+    });
+  });
+
+  describe('Offline Queue', () => {
+    const baseConfig = {
+      apiKey: 'test-key',
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app'
+    };
+
+    let store;
+    let defaultCreateInstance;
+
+    const createMemoryStore = () => {
+      const data = new Map();
+      return {
+        data,
+        setItem: jest.fn(async (key, value) => data.set(key, value)),
+        getItem: jest.fn(async key => (data.has(key) ? data.get(key) : null)),
+        removeItem: jest.fn(async key => data.delete(key)),
+        keys: jest.fn(async () => [...data.keys()]),
+        clear: jest.fn(async () => data.clear())
+      };
+    };
+
+    const queueBatch = (key, overrides = {}) => {
+      store.data.set(key, {
+        payload: { sessionId: 'old-session', appId: 'test-app', events: [], customEvents: [], errors: [] },
+        sessionId: 'old-session',
+        timestamp: Date.now() - 60000,
+        retryCount: 0,
+        nextAttempt: Date.now() - 1000,
+        bytes: 100,
+        ...overrides
+      });
+    };
+
+    const batchKeys = () => [...store.data.keys()].filter(key => key.startsWith('batch_'));
+    const chunkKeys = () => [...store.data.keys()].filter(key => key.startsWith('chunk_'));
+
+    beforeEach(() => {
+      store = createMemoryStore();
+      defaultCreateInstance = localforage.createInstance.getMockImplementation();
+      localforage.createInstance.mockImplementation(() => store);
+    });
+
+    afterEach(() => {
+      localforage.createInstance.mockImplementation(defaultCreateInstance);
+    });
+
+    test('should move a failed batch to the outbox', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, 503);
+
+      await SpectraView.init(baseConfig);
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+
+      expect(batchKeys()).toHaveLength(1);
+      const record = store.data.get(batchKeys()[0]);
+      expect(record).toMatchObject({ sessionId: SpectraView.sessionId, retryCount: 0 });
+      expect(record.nextAttempt).toBeGreaterThan(record.timestamp);
+      expect(record.payload.customEvents.some(e => e.eventType === 'test_event')).toBe(true);
+      expect(SpectraView.customEventBuffer.some(e => e.eventType === 'test_event')).toBe(false);
+    });
+
+    test('should prune the outbox from its index without reading queued payloads', async () => {
+      queueBatch('batch_1', { nextAttempt: Date.now() + 60000 });
+      queueBatch('batch_2', { nextAttempt: Date.now() + 60000 });
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, 503);
+
+      await SpectraView.init(baseConfig);
+      await SpectraView.drainOutbox();
+      store.getItem.mockClear();
+      store.keys.mockClear();
+
+      SpectraView.network.online = false;
+      for (let i = 0; i < 3; i++) {
+        SpectraView.capture('offline_event', {});
+        await SpectraView.flush();
+      }
+
+      expect(batchKeys()).toHaveLength(5);
+      expect(store.keys).not.toHaveBeenCalled();
+      expect(store.getItem.mock.calls.filter(([key]) => key.startsWith('batch_'))).toHaveLength(0);
+    });
+
+    test('should drop batches the server rejects', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, 400);
+
+      await SpectraView.init(baseConfig);
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+
+      expect(batchKeys()).toHaveLength(0);
+      expect(SpectraView.customEventBuffer.some(e => e.eventType === 'test_event')).toBe(false);
+    });
+
+    test('should replay queued batches on init', async () => {
+      queueBatch('batch_1');
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init(baseConfig);
+      await SpectraView.drainOutbox();
+
+      expect(fetchMock.called('http://api.test.com/api/sessions/old-session/events')).toBe(true);
+      expect(batchKeys()).toHaveLength(0);
+    });
+
+    test('should replay batches saved by older versions', async () => {
+      store.data.set('batch_1', {
+        events: [{ type: 2, timestamp: 1 }],
+        customEvents: [{ eventType: 'legacy' }],
+        errors: [],
+        sessionId: 'old-session',
+        timestamp: Date.now() - 60000,
+        retryCount: 0
+      });
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init(baseConfig);
+      await SpectraView.drainOutbox();
+
+      const body = JSON.parse(fetchMock.lastCall('http://api.test.com/api/sessions/old-session/events')[1].body);
+      expect(body.customEvents).toEqual([{ eventType: 'legacy' }]);
+      expect(batchKeys()).toHaveLength(0);
+    });
+
+    test('should back off after a failed retry', async () => {
+      queueBatch('batch_1');
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, 503);
+
+      await SpectraView.init(baseConfig);
+      await SpectraView.drainOutbox();
+
+      const record = store.data.get('batch_1');
+      expect(record.retryCount).toBe(1);
+      expect(record.nextAttempt).toBeGreaterThan(Date.now());
+      expect(SpectraView.outboxTimer).not.toBeNull();
+    });
+
+    test('should wait for the backoff unless the browser comes back online', async () => {
+      queueBatch('batch_1', { nextAttempt: Date.now() + 60000 });
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init(baseConfig);
+      await SpectraView.drainOutbox();
+
+      expect(fetchMock.called(/old-session\/events$/)).toBe(false);
+
+      window.dispatchEvent(new Event('online'));
+      await SpectraView.drainOutbox();
+
+      expect(fetchMock.called(/old-session\/events$/)).toBe(true);
+      expect(batchKeys()).toHaveLength(0);
+    });
+
+    test('should drop batches that are too old or retried too often', async () => {
+      queueBatch('batch_1', { timestamp: Date.now() - 2 * 24 * 60 * 60 * 1000 });
+      queueBatch('batch_2', { retryCount: 3 });
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({ ...baseConfig, maxRetries: 3 });
+      await SpectraView.drainOutbox();
+
+      expect(batchKeys()).toHaveLength(0);
+      expect(fetchMock.called(/old-session\/events$/)).toBe(false);
+    });
+
+    test('should drop the oldest batches over the byte cap', async () => {
+      queueBatch('batch_1', { timestamp: Date.now() - 3000, bytes: 600, nextAttempt: Date.now() + 60000 });
+      queueBatch('batch_2', { timestamp: Date.now() - 2000, bytes: 600, nextAttempt: Date.now() + 60000 });
+      queueBatch('batch_3', { timestamp: Date.now() - 1000, bytes: 600, nextAttempt: Date.now() + 60000 });
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({ ...baseConfig, maxOutboxBytes: 1000 });
+      await SpectraView.drainOutbox();
+
+      expect(batchKeys()).toEqual(['batch_3']);
+    });
+
+    test('should keep a local copy of events until their batch is uploaded', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+      store.keys.mockClear();
+
+      for (let i = 0; i < 20; i++) {
+        SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: Date.now() });
+      }
+      await SpectraView.eventStore.flush();
+
+      // One chunk for all of them, without scanning the store per event
+      expect(store.keys).not.toHaveBeenCalled();
+      expect(chunkKeys()).toHaveLength(1);
+      expect(store.data.get(chunkKeys()[0]).events.length).toBeGreaterThanOrEqual(20);
+
+      await SpectraView.flush();
+
+      expect(chunkKeys()).toHaveLength(0);
+    });
+
+    test('should drop the local copy once a failed batch is in the outbox', async () => {
+      fetchMock.post(/\/events$/, 503);
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: Date.now() });
+      await SpectraView.eventStore.flush();
+      await SpectraView.flush();
+
+      expect(batchKeys()).toHaveLength(1);
+      expect(chunkKeys()).toHaveLength(0);
+    });
+
+    test('should make room in local events when the outbox hits the quota', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: Date.now() });
+      SpectraView.eventStore.seal();
+      await SpectraView.eventStore.flush();
+
+      const setItem = store.setItem.getMockImplementation();
+      store.setItem.mockImplementationOnce(async () => {
+        throw Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+      });
+      const saved = await SpectraView.saveFailedBatch({ sessionId: 'old-session', events: [] });
+      store.setItem.mockImplementation(setItem);
+
+      expect(saved).toBe(true);
+      expect(batchKeys()).toHaveLength(1);
+      expect(chunkKeys()).toHaveLength(0);
+    });
+
+    describe('Crash Recovery', () => {
+      const seedCrashedPage = (sessionId, lastActivity) => {
+        store.data.set('chunk_crashed_0', { sessionId, events: [{ type: 3, data: {}, timestamp: lastActivity }] });
+        store.data.set('log_crashed', {
+          writerId: 'crashed',
+          updatedAt: lastActivity,
+          chunks: [{
+            key: 'chunk_crashed_0',
+            sessionId,
+            count: 1,
+            bytes: 50,
+            createdAt: lastActivity,
+            updatedAt: lastActivity,
+            synced: false
+          }]
+        });
+      };
+
+      const storedKeys = () => [...store.data.keys()].filter(key => !key.startsWith('batch_'));
+
+      afterEach(() => {
+        localStorage.removeItem('spectraview_unsent_test-app');
+        localStorage.removeItem('spectraview_delivered_test-app');
+        delete navigator.sendBeacon;
+      });
+
+      test('should upload events of a crashed page to its session and end it', async () => {
+        const lastActivity = Date.now() - 60 * 60 * 1000;
+        seedCrashedPage('crashed-session', lastActivity);
+        fetchMock.post(/.*/, { success: true });
+
+        await SpectraView.init(baseConfig);
+        await SpectraView.drainOutbox();
+
+        const [, eventsRequest] = fetchMock.lastCall(/crashed-session\/events$/);
+        expect(JSON.parse(eventsRequest.body)).toMatchObject({
+          sessionId: 'crashed-session',
+          recovered: true,
+          idempotencyKey: 'chunk_crashed_0'
+        });
+        expect(eventsRequest.headers['Idempotency-Key']).toBe('chunk_crashed_0');
+
+        const [, endRequest] = fetchMock.lastCall(/crashed-session\/end$/);
+        expect(JSON.parse(endRequest.body)).toMatchObject({
+          endTime: lastActivity,
+          stats: { eventCount: 1 },
+          recovered: true
+        });
+
+        expect(storedKeys()).toEqual([]);
+        expect(batchKeys()).toHaveLength(0);
+      });
+
+      test('should leave chunks of a page that may still be open', async () => {
+        seedCrashedPage('live-session', Date.now());
+        fetchMock.post(/.*/, { success: true });
+
+        await SpectraView.init(baseConfig);
+        await SpectraView.drainOutbox();
+
+        expect(fetchMock.called(/live-session/)).toBe(false);
+        expect(storedKeys()).toEqual(expect.arrayContaining(['chunk_crashed_0', 'log_crashed']));
+      });
+
+      test('should not recover chunks already sent in a final batch', async () => {
+        seedCrashedPage('unloaded-session', Date.now() - 60 * 60 * 1000);
+        localStorage.setItem('spectraview_unsent_test-app', JSON.stringify([{
+          sessionId: 'unloaded-session',
+          idempotencyKey: 'final-batch',
+          events: [],
+          customEvents: [],
+          errors: [],
+          chunkKeys: ['chunk_crashed_0']
+        }]));
+        fetchMock.post(/.*/, { success: true });
+
+        await SpectraView.init(baseConfig);
+        await SpectraView.drainOutbox();
+
+        const bodies = fetchMock.calls(/unloaded-session\/events$/).map(([, request]) => JSON.parse(request.body));
+        expect(bodies).toHaveLength(1);
+        expect(bodies[0]).toMatchObject({ idempotencyKey: 'final-batch' });
+        expect(bodies[0]).not.toHaveProperty('chunkKeys');
+        expect(storedKeys()).toEqual([]);
+      });
+
+      test('should not recover chunks of a delivered final batch that were never marked synced', async () => {
+        navigator.sendBeacon = jest.fn(() => true);
+        fetchMock.post(/.*/, { success: true });
+        await SpectraView.init(baseConfig);
+
+        SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: Date.now() });
+        await SpectraView.eventStore.flush();
+
+        // The page is gone before IndexedDB commits
+        jest.spyOn(SpectraView.eventStore, 'markSynced').mockReturnValue(new Promise(() => {}));
+        SpectraView.flushSync();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        SpectraView.stop();
+        expect(navigator.sendBeacon).toHaveBeenCalled();
+
+        // The next page load comes long after
+        const longAgo = Date.now() - 60 * 60 * 1000;
+        const logKey = [...store.data.keys()].find(key => key.startsWith('log_'));
+        const log = store.data.get(logKey);
+        expect(log.chunks.some(entry => !entry.synced)).toBe(true);
+        store.data.set(logKey, { ...log, updatedAt: longAgo, chunks: log.chunks.map(entry => ({ ...entry, updatedAt: longAgo })) });
+        fetchMock.resetHistory();
+
+        await SpectraView.init(baseConfig);
+        await SpectraView.drainOutbox();
+
+        const recovered = fetchMock.calls(/\/events$/).filter(([, request]) => JSON.parse(request.body).recovered);
+        expect(recovered).toHaveLength(0);
+        expect(chunkKeys().filter(key => log.chunks.some(entry => entry.key === key))).toEqual([]);
+        expect(localStorage.getItem('spectraview_delivered_test-app')).toBeNull();
+      });
+    });
+
+    describe('Encryption at Rest', () => {
+      const originalCrypto = global.crypto;
+      let keyStore;
+
+      beforeEach(() => {
+        keyStore = createMemoryStore();
+        localforage.createInstance.mockImplementation(({ storeName }) => (storeName === 'keys' ? keyStore : store));
+        Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true, writable: true });
+        global.TextEncoder = NodeTextEncoder;
+        global.TextDecoder = NodeTextDecoder;
+      });
+
+      afterEach(() => {
+        Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true, writable: true });
+        delete global.TextEncoder;
+        delete global.TextDecoder;
+      });
+
+      test('should keep queued batches encrypted and replay them decrypted', async () => {
+        fetchMock.post(/\/events$/, 503);
+        fetchMock.post(/.*/, { success: true });
+        await SpectraView.init({ ...baseConfig, encryptLocalData: true });
+
+        SpectraView.capture('order_paid', { orderId: 'order-123' });
+        await SpectraView.flush();
+
+        const [key] = batchKeys();
+        const raw = store.data.get(key);
+        expect(raw.encrypted).toBe(1);
+        expect(Buffer.from(raw.data).toString('latin1')).not.toContain('order-123');
+
+        fetchMock.post(/\/events$/, { success: true }, { overwriteRoutes: true });
+        await SpectraView.drainOutbox({ force: true });
+
+        const [, request] = fetchMock.lastCall(/\/events$/);
+        expect(request.body).toContain('order-123');
+        expect(batchKeys()).toHaveLength(0);
+      });
+
+      test('should discard queued data that cannot be decrypted', async () => {
+        queueBatch('batch_1');
+        fetchMock.post(/.*/, { success: true });
+
+        await SpectraView.init({ ...baseConfig, encryptLocalData: true });
+        await SpectraView.drainOutbox();
+
+        expect(SpectraView.isRecording).toBe(true);
+        expect(fetchMock.called(/old-session\/events$/)).toBe(false);
+        expect(batchKeys()).toHaveLength(0);
+      });
+
+      test('should not keep final batches in localStorage', async () => {
+        fetchMock.post(/.*/, { success: true });
+        navigator.sendBeacon = jest.fn(() => true);
+        await SpectraView.init({ ...baseConfig, encryptLocalData: true });
+
+        SpectraView.capture('order_paid', { orderId: 'order-123' });
+        SpectraView.flushSync();
+
+        expect(navigator.sendBeacon).toHaveBeenCalled();
+        expect(SpectraView.loadUnsentBatches()).toHaveLength(0);
+        delete navigator.sendBeacon;
+      });
+
+      test('should leave the chunks of an undelivered final batch to crash recovery', async () => {
+        fetchMock.post(/\/events$/, 503);
+        fetchMock.post(/.*/, { success: true });
+        navigator.sendBeacon = jest.fn(() => false);
+        await SpectraView.init({ ...baseConfig, encryptLocalData: true });
+
+        SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: Date.now() });
+        await SpectraView.eventStore.flush();
+        SpectraView.flushSync();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(navigator.sendBeacon).toHaveBeenCalled();
+        expect(SpectraView.eventStore.chunks.length).toBeGreaterThan(0);
+        expect(SpectraView.eventStore.chunks.every(entry => !entry.synced)).toBe(true);
+        expect(SpectraView.loadDeliveredChunks()).toHaveLength(0);
+        delete navigator.sendBeacon;
+      });
+
+      test('should disable local storage rather than store plain text without WebCrypto', async () => {
+        Object.defineProperty(global, 'crypto', { value: undefined, configurable: true, writable: true });
+
+        await SpectraView.init({ ...baseConfig, apiBaseUrl: null, encryptLocalData: true });
+
+        expect(consoleWarnSpy).toHaveBeenCalledWith('[SpectraView] Encryption not available, local storage disabled');
+        expect(SpectraView.storage).toBeNull();
+        expect(SpectraView.isRecording).toBe(true);
+      });
+    });
+
+    test('should queue batches without sending them while offline', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      navigator.onLine = false;
+      window.dispatchEvent(new Event('offline'));
+      SpectraView.capture('offline_event', {});
+      await SpectraView.flush();
+
+      expect(fetchMock.called(/\/events$/)).toBe(false);
+      expect(batchKeys()).toHaveLength(1);
+
+      delete navigator.onLine;
+      window.dispatchEvent(new Event('online'));
+      await SpectraView.drainOutbox();
+
+      expect(fetchMock.called(/\/events$/)).toBe(true);
+      expect(batchKeys()).toHaveLength(0);
+    });
+
+    test('should cap the backoff delay', async () => {
+      await SpectraView.init({ ...baseConfig, apiBaseUrl: null, retryBaseDelay: 1000, retryMaxDelay: 10000 });
+
+      const delays = [0, 1, 2, 10].map(retryCount => SpectraView.getRetryDelay(retryCount));
+
+      expect(delays[0]).toBeGreaterThanOrEqual(500);
+      expect(delays[0]).toBeLessThanOrEqual(1000);
+      expect(delays[2]).toBeGreaterThanOrEqual(2000);
+      expect(delays[2]).toBeLessThanOrEqual(4000);
+      expect(delays[3]).toBeLessThanOrEqual(10000);
+    });
+  });
+
+  describe('Batch Sequencing', () => {
+    const baseConfig = {
+      apiKey: 'test-key',
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app'
+    };
+
+    const eventsCalls = () => fetchMock.calls().filter(call => call[0].endsWith('/events'));
+
+    afterEach(() => {
+      localStorage.removeItem('spectraview_session_test-app');
+    });
+
+    test('should number batches and send idempotency keys in headers and payload', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.capture('first', {});
+      await SpectraView.flush();
+      SpectraView.capture('second', {});
+      await SpectraView.flush();
+
+      const [first, second] = eventsCalls().map(([, options]) => options);
+      const firstBody = JSON.parse(first.body);
+      const secondBody = JSON.parse(second.body);
+
+      expect(firstBody.sequence).toBe(0);
+      expect(secondBody.sequence).toBe(1);
+      expect(first.headers['X-Batch-Sequence']).toBe('0');
+      expect(second.headers['X-Batch-Sequence']).toBe('1');
+      expect(first.headers['Idempotency-Key']).toBe(firstBody.idempotencyKey);
+      expect(firstBody.idempotencyKey).not.toBe(secondBody.idempotencyKey);
+    });
+
+    test('should include the first and last rrweb event timestamps', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.eventBuffer = [];
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: 1000 });
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: 2000 });
+      await SpectraView.flush();
+
+      const body = JSON.parse(eventsCalls()[0][1].body);
+      expect(body.metadata).toMatchObject({ firstEventTimestamp: 1000, lastEventTimestamp: 2000 });
+    });
+
+    test('should take the timestamps from the raw events when they are packed to strings', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+      rrweb.pack.mockImplementation(event => `packed:${event.timestamp}`);
+
+      try {
+        SpectraView.eventBuffer = [];
+        SpectraView.eventInfo = [];
+        SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: 1000 });
+        SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: 2000 });
+        await SpectraView.flush();
+      } finally {
+        rrweb.pack.mockImplementation(event => event);
+      }
+
+      const body = JSON.parse(eventsCalls()[0][1].body);
+      expect(body.metadata).toMatchObject({ firstEventTimestamp: 1000, lastEventTimestamp: 2000 });
+    });
+
+    test('should continue the sequence in a resumed session', async () => {
+      localStorage.setItem('spectraview_session_test-app', JSON.stringify({
+        sessionId: 'stored-session',
+        startTime: Date.now() - 60000,
+        lastActivity: Date.now() - 5000,
+        batchSequence: 7
+      }));
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+
+      expect(JSON.parse(eventsCalls()[0][1].body).sequence).toBe(7);
+      expect(JSON.parse(localStorage.getItem('spectraview_session_test-app')).batchSequence).toBe(8);
+    });
+
+    test('should not reuse sequences across tabs resuming the same session', async () => {
+      localStorage.setItem('spectraview_session_test-app', JSON.stringify({
+        sessionId: 'stored-session',
+        startTime: Date.now() - 60000,
+        lastActivity: Date.now() - 5000,
+        batchSequence: 3
+      }));
+      fetchMock.post(/.*/, { success: true });
+      const config = { ...baseConfig, storageNamespace: 'spectraview' };
+      const tabs = [SpectraView.createClient(config), SpectraView.createClient(config)];
+
+      try {
+        await Promise.all(tabs.map(tab => tab.ready));
+        for (const tab of [...tabs, ...tabs]) {
+          tab.capture('test_event', {});
+          await tab.flush();
+        }
+
+        const sequences = eventsCalls().map(([, options]) => JSON.parse(options.body).sequence);
+        expect(sequences).toEqual([3, 4, 5, 6]);
+      } finally {
+        tabs.forEach(tab => tab.stop());
+      }
+    });
+
+    test('should never have two batches in flight', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, { success: true }, { delay: 20 });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.capture('first', {});
+      const firstFlush = SpectraView.flush();
+      SpectraView.capture('second', {});
+      const secondFlush = SpectraView.flush();
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(eventsCalls()).toHaveLength(1);
+
+      await Promise.all([firstFlush, secondFlush]);
+      const sequences = eventsCalls().map(([, options]) => JSON.parse(options.body).sequence);
+      expect(sequences).toEqual([0, 1]);
+    });
+
+    test('should send queued batches in order on unload', async () => {
+      const unloadTransport = { send: jest.fn().mockResolvedValue({ ok: true, status: 200 }) };
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, { success: true }, { delay: 20 });
+      await SpectraView.init({ ...baseConfig, unloadTransport });
+
+      SpectraView.capture('first', {});
+      SpectraView.flush();
+      SpectraView.capture('second', {});
+      SpectraView.flush();
+      SpectraView.capture('third', {});
+      SpectraView.flushSync();
+
+      const sequences = unloadTransport.send.mock.calls.map(([request]) => JSON.parse(request.body).sequence);
+      expect(sequences).toEqual([1, 2]);
+    });
+
+    test('should keep the idempotency key when a batch is retried', async () => {
+      const store = new Map();
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, 503);
+      await SpectraView.init(baseConfig);
+      SpectraView.storage.setItem.mockImplementation(async (key, value) => store.set(key, value));
+
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+
+      const [, record] = [...store.entries()].find(([key]) => key.startsWith('batch_'));
+      const firstKey = fetchMock.lastCall(/\/events$/)[1].headers['Idempotency-Key'];
+
+      fetchMock.reset();
+      fetchMock.post(/\/events$/, { success: true });
+      await SpectraView.sendBatch(record.payload);
+
+      expect(fetchMock.lastCall(/\/events$/)[1].headers['Idempotency-Key']).toBe(firstKey);
+    });
+
+    test('should retry a failed batch with its sequence and key when there is no storage', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, 503);
+      await SpectraView.init({ ...baseConfig, enableLocalStorage: false });
+
+      SpectraView.capture('first', {});
+      await SpectraView.flush();
+      const failed = fetchMock.lastCall(/\/events$/)[1];
+
+      fetchMock.reset();
+      fetchMock.post(/\/events$/, { success: true });
+      SpectraView.capture('second', {});
+      await SpectraView.flush();
+
+      const [retried, next] = eventsCalls().map(([, options]) => options);
+      expect(retried.headers['Idempotency-Key']).toBe(failed.headers['Idempotency-Key']);
+      expect(retried.body).toBe(failed.body);
+      expect(JSON.parse(next.body).sequence).toBe(JSON.parse(failed.body).sequence + 1);
+      expect(SpectraView.retryQueue).toHaveLength(0);
+    });
+  });
+
+  describe('Payload Formats', () => {
+    const baseConfig = {
+      apiKey: 'test-key',
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app'
+    };
+
+    const eventsCalls = () => fetchMock.calls().filter(call => call[0].endsWith('/events'));
+
+    test('should send base64 events in JSON by default', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+
+      const [, options] = eventsCalls()[0];
+      expect(options.headers['Content-Type']).toBe('application/json');
+      expect(JSON.parse(options.body).events).toMatchObject({ compressed: true, data: expect.any(String) });
+    });
+
+    test('should send a gzipped binary body with the binary format', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, payloadFormat: 'binary' });
+
+      SpectraView.eventBuffer = [{ type: 3, data: {}, timestamp: 1000 }];
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+
+      const [, options] = eventsCalls()[0];
+      expect(options.headers).toMatchObject({
+        'Content-Type': 'application/octet-stream',
+        'Content-Encoding': 'gzip',
+        'X-Batch-Sequence': '0'
+      });
+      expect(options.body).toBeInstanceOf(Uint8Array);
+
+      // pako.gzip is mocked to return the raw bytes
+      const payload = JSON.parse(Buffer.from(options.body).toString());
+      expect(payload.events).toEqual([{ type: 3, data: {}, timestamp: 1000 }]);
+      expect(payload.customEvents.some(e => e.eventType === 'test_event')).toBe(true);
+    });
+
+    test('should fall back to JSON when the server rejects binary batches', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, (url, options) => (
+        options.headers['Content-Encoding'] ? 415 : { success: true }
+      ));
+      await SpectraView.init({ ...baseConfig, payloadFormat: 'binary' });
+
+      SpectraView.capture('first', {});
+      await SpectraView.flush();
+      SpectraView.capture('second', {});
+      await SpectraView.flush();
+
+      const contentTypes = eventsCalls().map(([, options]) => options.headers['Content-Type']);
+      expect(contentTypes).toEqual(['application/octet-stream', 'application/json', 'application/json']);
+      expect(SpectraView.binaryRejected).toBe(true);
+    });
+
+    test('should use JSON for beacons', async () => {
+      navigator.sendBeacon = jest.fn(() => true);
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, payloadFormat: 'binary' });
+
+      SpectraView.capture('test_event', {});
+      SpectraView.flushSync();
+
+      expect(navigator.sendBeacon.mock.calls[0][1].type).toBe('application/json');
+
+      delete navigator.sendBeacon;
+    });
+  });
+
+  describe('Payload Size Limits', () => {
+    const unsentKey = 'spectraview_unsent_test-app';
+    const baseConfig = {
+      apiKey: 'test-key',
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app'
+    };
+
+    const eventsCalls = () => fetchMock.calls().filter(call => call[0].endsWith('/events'));
+    const bigEvent = (timestamp) => ({ type: 3, data: { text: 'x'.repeat(400) }, timestamp });
+
+    afterEach(() => {
+      delete navigator.sendBeacon;
+      localStorage.removeItem(unsentKey);
+      localStorage.removeItem('spectraview_session_test-app');
+    });
+
+    test('should split oversized batches into ordered chunks', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, maxPayloadBytes: 1000 });
+
+      SpectraView.eventBuffer = [1, 2, 3, 4, 5].map(bigEvent);
+      SpectraView.eventInfo = SpectraView.eventBuffer.map(({ type, timestamp }) => ({ type, timestamp }));
+      SpectraView.customEventBuffer = [];
+      await SpectraView.flush();
+
+      const bodies = eventsCalls().map(([, options]) => JSON.parse(options.body));
+      expect(bodies.length).toBeGreaterThan(1);
+      expect(bodies.map(body => body.sequence)).toEqual(bodies.map((_, index) => index));
+      expect(bodies.map(body => body.metadata.firstEventTimestamp)).toEqual(
+        [...bodies.map(body => body.metadata.firstEventTimestamp)].sort()
+      );
+      expect(bodies.reduce((total, body) => total + body.metadata.eventCount, 0)).toBe(5);
+    });
+
+    test('should measure the budget in UTF-8 bytes', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, maxPayloadBytes: 1000 });
+
+      // ~240 characters but ~440 bytes each: three fit by length, only two by bytes
+      SpectraView.eventBuffer = [1, 2, 3].map(timestamp => ({ type: 3, data: { text: 'é'.repeat(200) }, timestamp }));
+      SpectraView.customEventBuffer = [];
+      await SpectraView.flush();
+
+      const counts = eventsCalls().map(([, options]) => JSON.parse(options.body).metadata.eventCount);
+      expect(counts).toEqual([2, 1]);
+    });
+
+    test('should send an event larger than the budget on its own', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, maxPayloadBytes: 100 });
+
+      SpectraView.eventBuffer = [bigEvent(1)];
+      SpectraView.customEventBuffer = [];
+      await SpectraView.flush();
+
+      expect(eventsCalls()).toHaveLength(1);
+    });
+
+    test('should keep final beacons under the browser limit', async () => {
+      navigator.sendBeacon = jest.fn(() => true);
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.eventBuffer = Array.from({ length: 400 }, (_, index) => bigEvent(index));
+      SpectraView.flushSync();
+
+      expect(navigator.sendBeacon.mock.calls.length).toBeGreaterThan(1);
+      navigator.sendBeacon.mock.calls.forEach(([, blob]) => {
+        expect(blob.size).toBeLessThan(64 * 1024);
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(localStorage.getItem(unsentKey)).toBeNull();
+    });
+
+    test('should fall back to a keepalive fetch when the beacon is refused', async () => {
+      navigator.sendBeacon = jest.fn(() => false);
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.capture('test_event', {});
+      SpectraView.flushSync();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const [, options] = eventsCalls()[0];
+      expect(options.keepalive).toBe(true);
+      expect(JSON.parse(options.body).customEvents.some(e => e.eventType === 'test_event')).toBe(true);
+      expect(localStorage.getItem(unsentKey)).toBeNull();
+    });
+
+    test('should keep final batches that could not be sent for the next visit', async () => {
+      navigator.sendBeacon = jest.fn(() => false);
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, { throws: new TypeError('Failed to fetch') });
+      await SpectraView.init(baseConfig);
+
+      SpectraView.capture('test_event', {});
+      SpectraView.flushSync();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const [unsent] = JSON.parse(localStorage.getItem(unsentKey));
+      expect(unsent.customEvents.some(e => e.eventType === 'test_event')).toBe(true);
+
+      SpectraView.stop();
+      fetchMock.reset();
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({ ...baseConfig, enableLocalStorage: false });
+
+      expect(localStorage.getItem(unsentKey)).toBeNull();
+      const resent = fetchMock.calls().find(([, options]) => (
+        options.headers['Idempotency-Key'] === unsent.idempotencyKey
+      ));
+      expect(resent).toBeDefined();
+    });
+  });
+
+  describe('Live Streaming', () => {
+    const baseConfig = {
+      apiKey: 'test-key',
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app'
+    };
+
+    let originalWebSocket;
+    let sockets;
+
+    class FakeWebSocket {
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.bufferedAmount = 0;
+        this.sent = [];
+        sockets.push(this);
+      }
+
+      send(data) {
+        this.sent.push(JSON.parse(data));
+      }
+
+      close() {
+        this.readyState = 3;
+      }
+
+      open() {
+        this.readyState = 1;
+        this.onopen();
+      }
+    }
+    FakeWebSocket.OPEN = 1;
+
+    beforeEach(() => {
+      sockets = [];
+      originalWebSocket = window.WebSocket;
+      window.WebSocket = FakeWebSocket;
+    });
+
+    afterEach(() => {
+      window.WebSocket = originalWebSocket;
+    });
+
+    test('should stream events over WebSocket in live mode', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, liveMode: 'on' });
+
+      expect(sockets).toHaveLength(1);
+      expect(sockets[0].url).toBe(
+        `ws://api.test.com/api/sessions/${SpectraView.sessionId}/live?apiKey=test-key`
+      );
+
+      sockets[0].open();
+      SpectraView.capture('checkout_started', { step: 1 });
+
+      const event = sockets[0].sent.find(message => message.data?.eventType === 'checkout_started');
+      expect(event).toMatchObject({ type: 'event', kind: 'custom', data: { data: { step: 1 } } });
+    });
+
+    test('should put the auth token in the live URL', async () => {
+      fetchMock.post(/.*/, { success: true });
+      const getAuthToken = jest.fn().mockResolvedValue('token-1');
+      await SpectraView.init({ ...baseConfig, apiKey: undefined, getAuthToken, liveMode: 'on' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(sockets[0].url).toBe(
+        `ws://api.test.com/api/sessions/${SpectraView.sessionId}/live?token=token-1`
+      );
+    });
+
+    test('should start live mode when the server asks for it', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/heartbeat$/, { live: true });
+      await SpectraView.init({ ...baseConfig, liveMode: 'remote' });
+
+      expect(sockets).toHaveLength(0);
+
+      await SpectraView.sendHeartbeat();
+
+      expect(sockets).toHaveLength(1);
+      expect(SpectraView.liveStream).not.toBeNull();
+
+      fetchMock.post(/\/heartbeat$/, { live: false }, { overwriteRoutes: true });
+      await SpectraView.sendHeartbeat();
+
+      expect(sockets[0].readyState).toBe(3);
+      expect(SpectraView.liveStream).toBeNull();
+    });
+
+    test('should ignore the server unless remote live mode is on', async () => {
+      fetchMock.post(/.*/, { success: true, live: true });
+      await SpectraView.init(baseConfig);
+      await SpectraView.sendHeartbeat();
+
+      expect(sockets).toHaveLength(0);
+    });
+
+    test('should close the live stream on stop', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, liveMode: 'on' });
+      sockets[0].open();
+
+      SpectraView.stop();
+
+      expect(sockets[0].readyState).toBe(3);
+      expect(SpectraView.liveStream).toBeNull();
+    });
+
+    test('should not stream while record-on-error is buffering', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, liveMode: 'on', recordOnError: true });
+
+      expect(sockets).toHaveLength(0);
+
+      SpectraView.triggerUpload('manual');
+
+      expect(sockets).toHaveLength(1);
+    });
+  });
+
+  describe('Authentication', () => {
+    const baseConfig = {
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app'
+    };
+
+    const readBlob = blob => new Promise(resolve => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+
+    afterEach(() => {
+      delete navigator.sendBeacon;
+    });
+
+    test('should send the token from getAuthToken on every endpoint', async () => {
+      fetchMock.post(/.*/, { success: true });
+      const getAuthToken = jest.fn().mockResolvedValue({
+        token: 'token-1',
+        expiresAt: Date.now() + 60 * 60 * 1000
+      });
+
+      await SpectraView.init({ ...baseConfig, getAuthToken });
+      SpectraView.capture('test_event', {});
+      await SpectraView.flush();
+      await SpectraView.sendHeartbeat();
+
+      expect(fetchMock.calls().length).toBeGreaterThanOrEqual(3);
+      fetchMock.calls().forEach(([, options]) => {
+        expect(options.headers.Authorization).toBe('Bearer token-1');
+        expect(options.headers).not.toHaveProperty('X-API-Key');
+      });
+      expect(getAuthToken).toHaveBeenCalledTimes(1);
+      expect(consoleWarnSpy).not.toHaveBeenCalledWith(expect.stringContaining('No API key'));
+    });
+
+    test('should refresh the token before it expires', async () => {
+      fetchMock.post(/.*/, { success: true });
+      const getAuthToken = jest.fn()
+        .mockResolvedValueOnce({ token: 'token-1', expiresAt: Date.now() + 10 * 1000 })
+        .mockResolvedValueOnce({ token: 'token-2', expiresAt: Date.now() + 60 * 60 * 1000 });
+
+      await SpectraView.init({ ...baseConfig, getAuthToken });
+      await SpectraView.sendHeartbeat();
+
+      // The first token was within the refresh margin
+      expect(getAuthToken).toHaveBeenCalledTimes(2);
+      expect(fetchMock.lastCall(/\/heartbeat$/)[1].headers.Authorization).toBe('Bearer token-2');
+    });
+
+    test('should refresh the token and retry once on 401', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/heartbeat$/, (url, options) => (
+        options.headers.Authorization === 'Bearer token-2' ? { success: true } : 401
+      ));
+      const getAuthToken = jest.fn()
+        .mockResolvedValueOnce('token-1')
+        .mockResolvedValueOnce('token-2');
+
+      await SpectraView.init({ ...baseConfig, getAuthToken });
+      await SpectraView.sendHeartbeat();
+
+      const heartbeats = fetchMock.calls(/\/heartbeat$/);
+      expect(heartbeats).toHaveLength(2);
+      expect(heartbeats[1][1].headers.Authorization).toBe('Bearer token-2');
+      expect(getAuthToken).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry more than once when still unauthorized', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/heartbeat$/, 401);
+      const getAuthToken = jest.fn().mockResolvedValue('token');
+
+      await SpectraView.init({ ...baseConfig, getAuthToken });
+      await SpectraView.sendHeartbeat();
+
+      expect(fetchMock.calls(/\/heartbeat$/)).toHaveLength(2);
+    });
+
+    test('should send requests without a token when getAuthToken fails', async () => {
+      fetchMock.post(/.*/, { success: true });
+      const getAuthToken = jest.fn().mockRejectedValue(new Error('Auth server down'));
+
+      await SpectraView.init({ ...baseConfig, apiKey: 'test-key', getAuthToken });
+
+      const [, options] = fetchMock.lastCall('http://api.test.com/api/sessions/start');
+      expect(options.headers['X-API-Key']).toBe('test-key');
+      expect(options.headers).not.toHaveProperty('Authorization');
+    });
+
+    test('should put the cached token in the beacon URL on unload', async () => {
+      fetchMock.post(/.*/, { success: true });
+      navigator.sendBeacon = jest.fn(() => true);
+      const getAuthToken = jest.fn().mockResolvedValue('token-1');
+
+      await SpectraView.init({ ...baseConfig, getAuthToken });
+      SpectraView.capture('test_event', {});
+      SpectraView.flushSync();
+
+      expect(navigator.sendBeacon).toHaveBeenCalledWith(
+        `http://api.test.com/api/sessions/${SpectraView.sessionId}/events?token=token-1`,
+        expect.any(Blob)
+      );
+    });
+
+    test('should send a token inside the refresh margin on unload', async () => {
+      fetchMock.post(/.*/, { success: true });
+      navigator.sendBeacon = jest.fn(() => true);
+      const getAuthToken = jest.fn().mockResolvedValue({ token: 'token-1', expiresAt: Date.now() + 60 * 60 * 1000 });
+
+      await SpectraView.init({ ...baseConfig, getAuthToken });
+      SpectraView.authToken.expiresAt = Date.now() + 10 * 1000;
+      SpectraView.capture('test_event', {});
+      SpectraView.flushSync();
+
+      expect(navigator.sendBeacon.mock.calls[0][0]).toContain('token=token-1');
+    });
+
+    test('should keep the final batch for the next page load when the token expired', async () => {
+      fetchMock.post(/.*/, { success: true });
+      navigator.sendBeacon = jest.fn(() => true);
+      const getAuthToken = jest.fn().mockResolvedValue({ token: 'token-1', expiresAt: Date.now() + 60 * 60 * 1000 });
+
+      try {
+        await SpectraView.init({ ...baseConfig, getAuthToken });
+        SpectraView.authToken.expiresAt = Date.now() - 1000;
+        SpectraView.capture('test_event', {});
+        SpectraView.flushSync();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(navigator.sendBeacon).not.toHaveBeenCalled();
+        const [unsent] = JSON.parse(localStorage.getItem('spectraview_unsent_test-app'));
+        expect(unsent.customEvents.some(e => e.eventType === 'test_event')).toBe(true);
+      } finally {
+        localStorage.removeItem('spectraview_unsent_test-app');
+      }
+    });
+
+    test('should put credentials in the beacon body with beaconAuth body', async () => {
+      fetchMock.post(/.*/, { success: true });
+      navigator.sendBeacon = jest.fn(() => true);
+      const getAuthToken = jest.fn().mockResolvedValue('token-1');
+
+      await SpectraView.init({ ...baseConfig, apiKey: 'test-key', getAuthToken, beaconAuth: 'body' });
+      SpectraView.capture('test_event', {});
+      SpectraView.flushSync();
+
+      const [url, blob] = navigator.sendBeacon.mock.calls[0];
+      expect(url).toBe(`http://api.test.com/api/sessions/${SpectraView.sessionId}/events`);
+      const payload = JSON.parse(await readBlob(blob));
+      expect(payload.auth).toEqual({ apiKey: 'test-key', token: 'token-1' });
+    });
+  });
+
+  describe('Network Awareness', () => {
+    const baseConfig = {
+      apiKey: 'test-key',
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app',
+      enableLocalStorage: false
+    };
+
+    const eventsSent = () => fetchMock.calls(/\/events$/).length;
+
+    afterEach(() => {
+      delete navigator.onLine;
+      delete navigator.connection;
+    });
+
+    test('should keep events buffered while offline and send them when back online', async () => {
+      fetchMock.post(/.*/, { success: true });
+      navigator.onLine = false;
+      await SpectraView.init(baseConfig);
+
+      SpectraView.capture('offline_event', {});
+      await SpectraView.flush();
+
+      expect(eventsSent()).toBe(0);
+      expect(SpectraView.customEventBuffer.some(event => event.eventType === 'offline_event')).toBe(true);
+
+      delete navigator.onLine;
+      window.dispatchEvent(new Event('online'));
+      await SpectraView.flush();
+
+      expect(eventsSent()).toBe(1);
+      expect(SpectraView.customEventBuffer.some(event => event.eventType === 'offline_event')).toBe(false);
+    });
+
+    test('should skip heartbeats while offline', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init(baseConfig);
+
+      navigator.onLine = false;
+      window.dispatchEvent(new Event('offline'));
+      await SpectraView.sendHeartbeat();
+
+      expect(fetchMock.called(/\/heartbeat$/)).toBe(false);
+    });
+
+    test('should keep the final batch for the next page load while offline', async () => {
+      fetchMock.post(/.*/, { success: true });
+      navigator.sendBeacon = jest.fn(() => true);
+      await SpectraView.init(baseConfig);
+
+      navigator.onLine = false;
+      window.dispatchEvent(new Event('offline'));
+      SpectraView.capture('offline_event', {});
+      SpectraView.flushSync();
+
+      expect(navigator.sendBeacon).not.toHaveBeenCalled();
+      expect(SpectraView.loadUnsentBatches()).toHaveLength(1);
+
+      localStorage.removeItem(SpectraView.getUnsentStorageKey());
+      delete navigator.sendBeacon;
+    });
+
+    test('should adapt batching to the connection and follow its changes', async () => {
+      jest.useFakeTimers();
+      fetchMock.post(/.*/, { success: true });
+      const listeners = {};
+      navigator.connection = {
+        effectiveType: '2g',
+        saveData: false,
+        addEventListener: jest.fn((type, handler) => { listeners[type] = handler; }),
+        removeEventListener: jest.fn()
+      };
+
+      try {
+        await SpectraView.init({ ...baseConfig, batchSize: 10, flushInterval: 1000 });
+
+        expect(SpectraView.batching).toEqual({ batchSize: 40, flushInterval: 4000 });
+
+        SpectraView.capture('slow_event', {});
+        jest.advanceTimersByTime(1000);
+        expect(eventsSent()).toBe(0);
+
+        navigator.connection.effectiveType = '4g';
+        listeners.change();
+        expect(SpectraView.batching).toEqual({ batchSize: 10, flushInterval: 1000 });
+
+        jest.advanceTimersByTime(1000);
+        await SpectraView.flushPromise;
+        expect(eventsSent()).toBe(1);
+      } finally {
+        SpectraView.stop();
+        jest.useRealTimers();
+      }
+    });
+
+    test('should not adapt batching with adaptToNetwork false', async () => {
+      navigator.connection = { effectiveType: '2g', saveData: true };
+
+      await SpectraView.init({ ...baseConfig, apiBaseUrl: null, adaptToNetwork: false });
+
+      expect(SpectraView.batching).toEqual({ batchSize: 50, flushInterval: 30000 });
+    });
+  });
+
+  describe('URL Sanitization', () => {
+    const originalHref = window.location.href;
+
+    const init = (config = {}) => SpectraView.init({
+      apiKey: 'test-key',
+      apiBaseUrl: null,
+      appId: 'test-app',
+      ...config
+    });
+
+    afterEach(() => {
+      window.location.href = originalHref;
+    });
+
+    test('should sanitize the page URL in event and error context', async () => {
+      window.location.href = 'http://localhost:3000/orders/123456?token=abc&tab=items#access_token=xyz';
+      await init();
+
+      SpectraView.capture('viewed', {});
+      SpectraView.captureError({ type: 'custom_error', message: 'Oops', filename: 'https://cdn.test/app.js?sig=s3cr3t' });
+
+      const expected = 'http://localhost:3000/orders/:id?token=[REDACTED]&tab=items#access_token=[REDACTED]';
+      expect(SpectraView.customEventBuffer[0].context.url).toBe(expected);
+      expect(SpectraView.errorBuffer[0].context.url).toBe(expected);
+      expect(SpectraView.errorBuffer[0].filename).toBe('https://cdn.test/app.js?sig=[REDACTED]');
+    });
+
+    test('should sanitize URLs in error stacks and rejection reasons', async () => {
+      await init();
+
+      SpectraView.handleError({
+        message: 'boom',
+        filename: 'http://localhost/checkout?token=abc',
+        error: { stack: 'Error: boom\n    at http://localhost/checkout?token=abc:10:5' }
+      });
+      SpectraView.handlePromiseRejection({ reason: new Error('Failed to load http://localhost/api?session=s1') });
+
+      expect(SpectraView.errorBuffer[0].stack).toBe('Error: boom\n    at http://localhost/checkout?token=[REDACTED]:10:5');
+      expect(SpectraView.errorBuffer[1].reason).toBe('Error: Failed to load http://localhost/api?session=[REDACTED]');
+    });
+
+    test('should sanitize URL attributes in the replay without redactReplay', async () => {
+      await init();
+
+      const { emit } = rrweb.record.mock.calls[rrweb.record.mock.calls.length - 1][0];
+      emit({
+        type: 2,
+        timestamp: Date.now(),
+        data: {
+          node: {
+            type: 0,
+            childNodes: [{ type: 2, id: 1, tagName: 'img', attributes: { src: '/avatar?sig=s3cr3t' }, childNodes: [] }]
+          },
+          initialOffset: { top: 0, left: 0 }
+        }
+      });
+      emit({
+        type: 3,
+        timestamp: Date.now(),
+        data: { source: 0, texts: [], attributes: [{ id: 3, attributes: { href: '/reset?token=abc' } }], adds: [], removes: [] }
+      });
+
+      const snapshot = SpectraView.eventBuffer.filter(e => e.type === 2).pop();
+      const mutation = SpectraView.eventBuffer.find(e => e.type === 3 && e.data.source === 0);
+      expect(snapshot.data.node.childNodes[0].attributes.src).toBe('/avatar?sig=[REDACTED]');
+      expect(mutation.data.attributes[0].attributes.href).toBe('/reset?token=[REDACTED]');
+    });
+
+    test('should sanitize navigation URLs', async () => {
+      await init({ urlPathTemplates: ['/reset/:token'] });
+
+      history.pushState({}, '', '/reset/9f8e7d?email=jane%40example.com');
+      window.dispatchEvent(new HashChangeEvent('hashchange', {
+        oldURL: 'http://localhost/#/orders/42',
+        newURL: 'http://localhost/#/orders/43?code=abc'
+      }));
+
+      const navigation = SpectraView.customEventBuffer.filter(e => e.eventType === 'navigation');
+      expect(navigation[0].data.url).toBe('/reset/:token?email=[REDACTED]');
+      expect(navigation[1].data).toMatchObject({
+        oldURL: 'http://localhost/#/orders/:id',
+        newURL: 'http://localhost/#/orders/:id?code=[REDACTED]'
+      });
+    });
+
+    test('should sanitize network request URLs', async () => {
+      fetchMock.get(/.*/, 200);
+      await init({ captureNetwork: true, urlAllowParams: ['page'] });
+
+      await window.fetch('https://api.test.com/customers/778899/orders?page=2&q=jane');
+
+      const network = SpectraView.customEventBuffer.find(e => e.eventType === 'network');
+      expect(network.data.url).toBe('https://api.test.com/customers/:id/orders?page=2&q=[REDACTED]');
+    });
+
+    test('should sanitize link targets of clicks', async () => {
+      await init();
+
+      const link = document.createElement('a');
+      link.href = 'https://app.test/invoices/5512?download_token=abc';
+      document.body.appendChild(link);
+      link.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+      document.body.removeChild(link);
+
+      const click = SpectraView.customEventBuffer.find(e => e.eventType === 'click');
+      expect(click.data.href).toBe('https://app.test/invoices/:id?download_token=[REDACTED]');
+    });
+
+    test('should sanitize the session start URL and the replay page URL', async () => {
+      window.location.href = 'http://localhost:3000/welcome?email=jane%40example.com';
+      fetchMock.post(/.*/, { success: true });
+      await init({ apiBaseUrl: 'http://api.test.com' });
+
+      const body = JSON.parse(fetchMock.lastCall('http://api.test.com/api/sessions/start')[1].body);
+      expect(body.metadata.url).toBe('http://localhost:3000/welcome?email=[REDACTED]');
+
+      const { emit } = rrweb.record.mock.calls[rrweb.record.mock.calls.length - 1][0];
+      emit({ type: 4, data: { href: window.location.href, width: 1024, height: 768 }, timestamp: Date.now() });
+
+      const meta = SpectraView.eventBuffer.find(e => e.type === 4);
+      expect(meta.data.href).toBe('http://localhost:3000/welcome?email=[REDACTED]');
+    });
+
+    test('should sanitize URL attributes in the replay with redactReplay', async () => {
+      await init({ redactReplay: true, stripUrlFragment: true });
+
+      const { emit } = rrweb.record.mock.calls[rrweb.record.mock.calls.length - 1][0];
+      emit({
+        type: 3,
+        timestamp: Date.now(),
+        data: {
+          source: 0,
+          texts: [],
+          attributes: [{ id: 3, attributes: { href: '/account/123456?token=abc#section' } }],
+          adds: [],
+          removes: []
+        }
+      });
+
+      const mutation = SpectraView.eventBuffer.find(e => e.type === 3 && e.data.source === 0);
+      expect(mutation.data.attributes[0].attributes.href).toBe('/account/:id?token=[REDACTED]');
+    });
+  });
+
+  describe('Declarative Privacy', () => {
+    const init = (config = {}) => SpectraView.init({
+      apiKey: 'test-key',
+      apiBaseUrl: null,
+      appId: 'test-app',
+      ...config
+    });
+
+    afterEach(() => {
+      document.body.innerHTML = '';
+      delete rrweb.record.mirror;
+    });
+
+    test('should pass data attributes and selectors to rrweb', async () => {
+      await init({ blockSelector: '.chat-widget', maskSelector: ['.balance', 'iframe + p'] });
+
+      expect(rrweb.record).toHaveBeenCalledWith(expect.objectContaining({
+        blockSelector: '[data-spectra-block], .spectra-block, .chat-widget',
+        maskTextSelector: '[data-spectra-mask], .spectra-mask, .balance, iframe + p'
+      }));
+    });
+
+    test('should warn about invalid selectors and ignore them', async () => {
+      await init({ unmaskSelector: ['.ok', 'div[', '.also-ok'] });
+
+      expect(consoleWarnSpy).toHaveBeenCalledWith('[SpectraView] Invalid privacy selector "div[", ignoring it');
+      expect(SpectraView.privacyRules.isTextMasked(document.body)).toBe(false);
+    });
+
+    test('should unmask and mask replay content by the nearest marker', async () => {
+      document.body.innerHTML = `
+        <main data-spectra-unmask>
+          <h1>Order summary</h1>
+          <p class="balance">$1,250.00</p>
+          <input id="coupon" value="SPRING24">
+          <input id="card" class="card-field" value="4111">
+        </main>`;
+      const [heading, balance, coupon, card] = ['h1', '.balance', '#coupon', '#card'].map(selector => document.querySelector(selector));
+      const nodes = { 1: heading.firstChild, 2: balance.firstChild, 3: coupon, 4: card };
+      rrweb.record.mirror = { getNode: id => nodes[id] || null };
+
+      await init({ captureMode: 'privacy', maskSelector: '.balance', maskInputSelector: '.card-field' });
+
+      const { emit } = rrweb.record.mock.calls[rrweb.record.mock.calls.length - 1][0];
+      emit({
+        type: 2,
+        timestamp: Date.now(),
+        data: {
+          node: {
+            type: 0,
+            childNodes: [
+              { type: 3, id: 1, textContent: '***** *******' },
+              { type: 3, id: 2, textContent: '*********' },
+              { type: 2, id: 3, tagName: 'input', attributes: { value: '********' }, childNodes: [] }
+            ]
+          },
+          initialOffset: { top: 0, left: 0 }
+        }
+      });
+      emit({ type: 3, timestamp: Date.now(), data: { source: 5, id: 4, text: '4111 1111', isChecked: false } });
+
+      const [snapshot] = SpectraView.eventBuffer.filter(e => e.type === 2).slice(-1);
+      expect(snapshot.data.node.childNodes[0].textContent).toBe('Order summary');
+      expect(snapshot.data.node.childNodes[1].textContent).toBe('*********');
+      expect(snapshot.data.node.childNodes[2].attributes.value).toBe('SPRING24');
+
+      const input = SpectraView.eventBuffer.find(e => e.type === 3 && e.data.source === 5);
+      expect(input.data.text).toBe('*********');
+    });
+
+    test('should leave out or mask the text of clicked elements', async () => {
+      document.body.innerHTML = `
+        <button id="blocked" data-spectra-block>Delete Jane</button>
+        <span id="masked" data-spectra-mask>Jane Doe</span>
+        <div data-spectra-unmask><a id="unmasked">Pricing</a></div>
+        <p id="plain">Hello</p>`;
+      await init({ maskTextContent: true, captureClickText: true });
+
+      ['blocked', 'masked', 'unmasked', 'plain'].forEach(id => {
+        document.getElementById(id).dispatchEvent(new MouseEvent('click', { bubbles: true }));
+      });
+
+      const texts = SpectraView.customEventBuffer.filter(e => e.eventType === 'click').map(e => e.data.text);
+      expect(texts).toEqual([undefined, '**** ***', 'Pricing', '*****']);
+    });
+
+    test('should keep the text of blocked and masked children out of a clicked parent', async () => {
+      document.body.innerHTML = `
+        <button id="parent">Pay <span data-spectra-mask>Jane Doe</span><i data-spectra-block>4421</i> now</button>`;
+      await init({ captureClickText: true });
+
+      document.getElementById('parent').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+      const click = SpectraView.customEventBuffer.find(e => e.eventType === 'click');
+      expect(click.data.text).toBe('Pay **** *** now');
+    });
+
+    test('should keep values typed into masked fields out of network and console capture', async () => {
+      fetchMock.get(/.*/, 200);
+      document.body.innerHTML = `
+        <input id="search" value="">
+        <input id="member" data-spectra-mask value="">`;
+      await init({ captureNetwork: true, captureConsole: true, maskAllInputs: false });
+
+      const member = document.getElementById('member');
+      member.value = 'Jane Doe 4421';
+      member.dispatchEvent(new Event('input', { bubbles: true }));
+      const search = document.getElementById('search');
+      search.value = 'shoes';
+      search.dispatchEvent(new Event('input', { bubbles: true }));
+
+      await window.fetch('https://api.test.com/members?q=Jane%20Doe%204421&term=shoes');
+      console.log('Looking up', 'Jane Doe 4421');
+
+      const network = SpectraView.customEventBuffer.find(e => e.eventType === 'network');
+      const log = SpectraView.customEventBuffer.find(e => e.eventType === 'console');
+      expect(network.data.url).toBe('https://api.test.com/members?q=*************&term=shoes');
+      expect(log.data.message).toBe('Looking up *************');
+    });
+  });
+
   describe('Privacy and Sanitization', () => {
     beforeEach(async () => {
       await SpectraView.init({
@@ -354,39 +1980,1081 @@ describe('SpectraView SDK', () => {
       });
     });
 
-    test('should sanitize sensitive data', () => {
-      const data = {
-        email: 'test@example.com',
-        phone: '555-123-4567',
-        ssn: '123-45-6789',
-        card: '4111 1111 1111 1111',
-        safe: 'This is safe text'
-      };
+    test('should sanitize sensitive data', () => {
+      const data = {
+        email: 'test@example.com',
+        phone: '555-123-4567',
+        ssn: '123-45-6789',
+        card: '4111 1111 1111 1111',
+        safe: 'This is safe text'
+      };
+
+      const sanitized = SpectraView.sanitizeData(data);
+
+      expect(sanitized.email).toBe('[EMAIL]');
+      expect(sanitized.phone).toBe('[PHONE]');
+      expect(sanitized.ssn).toBe('[SSN]');
+      expect(sanitized.card).toBe('[CARD]');
+      expect(sanitized.safe).toBe('This is safe text');
+    });
+
+    test('should not report order numbers as cards', () => {
+      const sanitized = SpectraView.sanitizeData({ order: 'Order 1234-5678-1234-5678' });
+
+      expect(sanitized.order).toBe('Order 1234-5678-1234-5678');
+    });
+
+    test('should apply configured redaction rules and keys', async () => {
+      SpectraView.stop();
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        redactionRules: [{ pattern: /\bORD-\d+\b/, replacement: '[ORDER]' }],
+        redactKeys: ['memberId'],
+        safeKeys: ['supportEmail']
+      });
+
+      const sanitized = SpectraView.sanitizeData({
+        note: 'Refund ORD-1234',
+        memberId: 'M-998',
+        password: 'hunter2',
+        supportEmail: 'help@example.com'
+      });
+
+      expect(sanitized).toEqual({
+        note: 'Refund [ORDER]',
+        memberId: '[REDACTED]',
+        password: '[REDACTED]',
+        supportEmail: 'help@example.com'
+      });
+    });
+
+    test('should warn about invalid redaction rules and keep the rest', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      SpectraView.stop();
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        redactionRules: [{ pattern: '(' }]
+      });
+
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Invalid redaction rule'), expect.any(Error));
+      expect(SpectraView.sanitizeData({ contact: 'jane@example.com' }).contact).toBe('[EMAIL]');
+      warnSpy.mockRestore();
+    });
+
+    test('should apply the configured locale detector packs', async () => {
+      SpectraView.stop();
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        redactionPacks: ['mx', 'e164']
+      });
+
+      const sanitized = SpectraView.sanitizeData({
+        curp: 'GODE561231HDFRRN09',
+        clabe: '002010077777777771',
+        phone: '+52 55 1234 5678',
+        ssn: '123-45-6789'
+      });
+
+      expect(sanitized).toEqual({
+        curp: '[CURP]',
+        clabe: '[CLABE]',
+        phone: '[PHONE]',
+        ssn: '123-45-6789' // The us pack wasn't selected
+      });
+    });
+
+    test('should warn about unknown detector packs', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      SpectraView.stop();
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        redactionPacks: ['us', 'zz']
+      });
+
+      expect(warnSpy).toHaveBeenCalledWith('[SpectraView] Unknown redaction pack "zz", ignoring it');
+      warnSpy.mockRestore();
+    });
+
+    test('should pick up detector packs registered after init', async () => {
+      SpectraView.stop();
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        redactionPacks: ['us', 'loyalty']
+      });
+
+      SpectraView.registerDetectorPack('loyalty', [{ pattern: /\bLOY-\d{6}\b/, replacement: '[LOYALTY]' }]);
+
+      expect(SpectraView.sanitizeData({ card: 'LOY-123456' }).card).toBe('[LOYALTY]');
+    });
+
+    describe('Replay Redaction', () => {
+      const pii = ['jane@example.com', '4111 1111 1111 1111', '555-123-4567', '123-45-6789'];
+
+      const recordPage = async (config) => {
+        fetchMock.post(/.*/, { success: true });
+        SpectraView.stop();
+        await SpectraView.init({
+          apiKey: 'test-key',
+          apiBaseUrl: 'http://api.test.com',
+          appId: 'test-app',
+          ...config
+        });
+
+        const { emit } = rrweb.record.mock.calls[rrweb.record.mock.calls.length - 1][0];
+        emit({
+          type: 2,
+          timestamp: Date.now(),
+          data: {
+            node: {
+              type: 0,
+              childNodes: [{
+                type: 2,
+                tagName: 'p',
+                attributes: { title: 'Card 4111 1111 1111 1111' },
+                childNodes: [{ type: 3, textContent: 'Contact jane@example.com' }]
+              }]
+            },
+            initialOffset: { top: 0, left: 0 }
+          }
+        });
+        emit({
+          type: 3,
+          timestamp: Date.now(),
+          data: {
+            source: 0,
+            texts: [{ id: 4, value: 'Call 555-123-4567' }],
+            attributes: [],
+            adds: [{ parentId: 1, nextId: null, node: { type: 3, textContent: 'SSN 123-45-6789' } }],
+            removes: []
+          }
+        });
+        emit({ type: 3, timestamp: Date.now(), data: { source: 5, id: 7, text: 'jane@example.com', isChecked: false } });
+        await SpectraView.flush();
+
+        return fetchMock.calls()
+          .filter(call => call[0].endsWith('/events'))
+          .map(([, options]) => {
+            // pako.gzip is mocked to return the raw bytes, so base64 is all there is to undo
+            const payload = JSON.parse(options.body);
+            return `${options.body}\n${Buffer.from(payload.events.data, 'base64').toString()}`;
+          })
+          .join('\n');
+      };
+
+      test('should keep known PII out of uploaded batches', async () => {
+        const uploaded = await recordPage({ redactReplay: true });
+
+        expect(uploaded).toContain('[EMAIL]');
+        pii.forEach(value => expect(uploaded).not.toContain(value));
+      });
+
+      test('should upload DOM content as recorded when replay redaction is off', async () => {
+        const uploaded = await recordPage({});
+
+        pii.forEach(value => expect(uploaded).toContain(value));
+      });
+
+      test('should pack events after redacting them', async () => {
+        await recordPage({ redactReplay: true });
+
+        const packed = rrweb.pack.mock.calls.map(([event]) => event).filter(event => event.type === 3 && event.data.source === 5);
+        expect(packed).toEqual([expect.objectContaining({ data: expect.objectContaining({ text: '[EMAIL]' }) })]);
+      });
+    });
+
+    test('should redact custom event data before buffering it', () => {
+      SpectraView.capture('checkout', { email: 'jane@example.com', cvv: '123' });
+
+      expect(SpectraView.customEventBuffer[0].data).toEqual({ email: '[EMAIL]', cvv: '[REDACTED]' });
+    });
+
+    test('should respect privacy configuration', async () => {
+      SpectraView.stop();
+      
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        maskAllInputs: true,
+        blockClass: 'block-me',
+        ignoreClass: 'ignore-me'
+      });
+
+      expect(SpectraView.config.maskAllInputs).toBe(true);
+      expect(SpectraView.config.blockClass).toBe('block-me');
+      expect(SpectraView.config.ignoreClass).toBe('ignore-me');
+    });
+  });
+
+  describe('Session Continuity', () => {
+    const storageKey = 'spectraview_session_test-app';
+
+    const storeSession = (overrides = {}) => {
+      localStorage.setItem(storageKey, JSON.stringify({
+        sessionId: 'stored-session',
+        startTime: Date.now() - 60000,
+        lastActivity: Date.now() - 5000,
+        stats: { eventCount: 42, errorCount: 1, clickCount: 7 },
+        ...overrides
+      }));
+    };
+
+    afterEach(() => {
+      localStorage.removeItem(storageKey);
+    });
+
+    test('should persist the session id on init', async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app'
+      });
+
+      expect(JSON.parse(localStorage.getItem(storageKey))).toMatchObject({
+        sessionId: SpectraView.sessionId,
+        startTime: SpectraView.performanceData.startTime
+      });
+    });
+
+    test('should resume a session that is still active', async () => {
+      storeSession();
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app'
+      });
+
+      expect(SpectraView.sessionId).toBe('stored-session');
+      expect(SpectraView.performanceData.eventCount).toBe(42);
+      expect(fetchMock.called('http://api.test.com/api/sessions/start')).toBe(false);
+      expect(SpectraView.customEventBuffer.some(e => e.eventType === 'session_resume')).toBe(true);
+    });
+
+    test('should end an idle session and start a new one', async () => {
+      const lastActivity = Date.now() - 60 * 60 * 1000;
+      storeSession({ lastActivity, startTime: lastActivity - 1000 });
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app'
+      });
+
+      expect(SpectraView.sessionId).not.toBe('stored-session');
+      expect(fetchMock.called('http://api.test.com/api/sessions/start')).toBe(true);
+
+      const endCall = fetchMock.lastCall('http://api.test.com/api/sessions/stored-session/end');
+      expect(endCall).toBeDefined();
+      expect(JSON.parse(endCall[1].body).endTime).toBe(lastActivity);
+    });
+
+    test('should roll over after the maximum session duration', async () => {
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app',
+        maxSessionDuration: 1000
+      });
+
+      const firstSessionId = SpectraView.sessionId;
+      SpectraView.sessionState.startTime -= 5000;
+
+      SpectraView.capture('after_rollover', {});
+
+      expect(SpectraView.sessionId).not.toBe(firstSessionId);
+      expect(fetchMock.called(`http://api.test.com/api/sessions/${firstSessionId}/end`)).toBe(true);
+      expect(SpectraView.customEventBuffer.find(e => e.eventType === 'after_rollover')).toMatchObject({
+        sessionId: SpectraView.sessionId
+      });
+    });
+
+    test('should not roll over a session another tab kept active', async () => {
+      fetchMock.post(/.*/, { success: true });
+      const config = { apiKey: 'test-key', apiBaseUrl: 'http://api.test.com', appId: 'test-app', storageNamespace: 'spectraview' };
+      const tabA = SpectraView.createClient(config);
+      await tabA.ready;
+      const tabB = SpectraView.createClient(config);
+      await tabB.ready;
+      const sessionId = tabA.sessionId;
+      const start = Date.now();
+      const nowSpy = jest.spyOn(Date, 'now');
+
+      try {
+        // Tab B is used for 40 minutes while tab A stays idle
+        [10, 20, 30, 40].forEach(minutes => {
+          nowSpy.mockReturnValue(start + minutes * 60 * 1000);
+          tabB.touchSession();
+        });
+        tabA.touchSession();
+
+        expect(tabB.sessionId).toBe(sessionId);
+        expect(tabA.sessionId).toBe(sessionId);
+        expect(fetchMock.called(`http://api.test.com/api/sessions/${sessionId}/end`)).toBe(false);
+        expect(JSON.parse(localStorage.getItem(storageKey)).sessionId).toBe(sessionId);
+      } finally {
+        nowSpy.mockRestore();
+        tabA.stop();
+        tabB.stop();
+      }
+    });
+
+    test('should join the session another tab rolled over to', async () => {
+      fetchMock.post(/.*/, { success: true });
+      const config = { apiKey: 'test-key', apiBaseUrl: null, appId: 'test-app', storageNamespace: 'spectraview' };
+      const tabA = SpectraView.createClient(config);
+      await tabA.ready;
+      const tabB = SpectraView.createClient(config);
+      await tabB.ready;
+      const firstSessionId = tabA.sessionId;
+      const nowSpy = jest.spyOn(Date, 'now');
+
+      try {
+        nowSpy.mockReturnValue(Date.now() + 60 * 60 * 1000);
+        tabB.touchSession();
+        tabA.touchSession();
+
+        expect(tabB.sessionId).not.toBe(firstSessionId);
+        expect(tabA.sessionId).toBe(tabB.sessionId);
+      } finally {
+        nowSpy.mockRestore();
+        tabA.stop();
+        tabB.stop();
+      }
+    });
+
+    test('should clear the persisted session on stop', async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app'
+      });
+
+      expect(localStorage.getItem(storageKey)).not.toBeNull();
+
+      SpectraView.stop();
+
+      expect(localStorage.getItem(storageKey)).toBeNull();
+    });
+  });
+
+  describe('Consent', () => {
+    afterEach(() => {
+      localStorage.removeItem('spectraview_consent');
+      delete navigator.doNotTrack;
+    });
+
+    test('should not capture anything until consent is granted', async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        requireConsent: true
+      });
+
+      expect(SpectraView.getConsent()).toBe('pending');
+      expect(SpectraView.isRecording).toBe(false);
+      expect(rrweb.record).not.toHaveBeenCalled();
+
+      await SpectraView.setConsent('granted');
+
+      expect(SpectraView.isRecording).toBe(true);
+      expect(rrweb.record).toHaveBeenCalled();
+    });
+
+    test('should remember consent between visits', async () => {
+      await SpectraView.setConsent('granted');
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        requireConsent: true
+      });
+
+      expect(SpectraView.isRecording).toBe(true);
+    });
+
+    test('should stop, discard buffers and purge storage when revoked', async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app'
+      });
+
+      SpectraView.capture('before_revoke', {});
+      SpectraView.captureError({ type: 'javascript_error', message: 'boom' });
+      const { storage } = SpectraView;
+
+      await SpectraView.setConsent('revoked');
+
+      expect(SpectraView.isRecording).toBe(false);
+      expect(SpectraView.eventBuffer).toHaveLength(0);
+      expect(SpectraView.customEventBuffer).toHaveLength(0);
+      expect(SpectraView.errorBuffer).toHaveLength(0);
+      expect(storage.clear).toHaveBeenCalled();
+      expect(JSON.parse(localStorage.getItem('spectraview_consent')).state).toBe('revoked');
+
+      // A revoked visitor is not recorded on the next visit
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app'
+      });
+
+      expect(SpectraView.isRecording).toBe(false);
+    });
+
+    test('should delete final batches kept for the next visit when revoked', async () => {
+      navigator.sendBeacon = jest.fn(() => true);
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app'
+      });
+
+      // Offline at unload: the final batch stays in localStorage for the next visit
+      SpectraView.network.online = false;
+      SpectraView.capture('before_revoke', {});
+      SpectraView.flushSync();
+      expect(localStorage.getItem('spectraview_unsent_test-app')).not.toBeNull();
+
+      await SpectraView.setConsent('revoked');
+
+      expect(localStorage.getItem('spectraview_unsent_test-app')).toBeNull();
+      delete navigator.sendBeacon;
+    });
+
+    test('should stop uploading and not keep failed batches when revoked during a flush', async () => {
+      fetchMock.post('http://api.test.com/api/sessions/start', { success: true });
+      fetchMock.post(/\/events$/, 503, { delay: 20 });
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: 'http://api.test.com',
+        appId: 'test-app'
+      });
+      const { storage } = SpectraView;
+
+      SpectraView.capture('first', {});
+      const inFlight = SpectraView.flush();
+      SpectraView.capture('second', {});
+      SpectraView.flush();
+
+      await SpectraView.setConsent('revoked');
+      await inFlight;
+
+      expect(fetchMock.calls(/\/events$/)).toHaveLength(1);
+      const saved = storage.setItem.mock.calls.map(([key]) => key);
+      expect(saved.some(key => key.startsWith('batch_'))).toBe(false);
+      expect(SpectraView.retryQueue).toHaveLength(0);
+    });
+
+    test('should honor Do Not Track when configured', async () => {
+      navigator.doNotTrack = '1';
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        respectDoNotTrack: true
+      });
+
+      expect(SpectraView.getConsent()).toBe('revoked');
+      expect(SpectraView.isRecording).toBe(false);
+    });
+
+    test('should ignore Do Not Track unless configured', async () => {
+      navigator.doNotTrack = '1';
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app'
+      });
+
+      expect(SpectraView.isRecording).toBe(true);
+    });
+  });
+
+  describe('Record On Error', () => {
+    const config = {
+      apiKey: 'test-key',
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app',
+      recordOnError: true,
+      bufferWindow: 60000,
+      triggerEvents: ['payment_failed']
+    };
+
+    const eventsCalls = () => fetchMock.calls().filter(call => call[0].endsWith('/events'));
+
+    beforeEach(async () => {
+      fetchMock.post(/.*/, { success: true });
+
+      // The rrweb mock emits a snapshot on a timer at every start; let the ones
+      // left by earlier tests fire before this test subscribes
+      await new Promise(resolve => setTimeout(resolve, 0));
+    });
+
+    test('should not send anything while buffering', async () => {
+      await SpectraView.init({ ...config, batchSize: 2 });
+
+      SpectraView.handleRRWebEvent({ type: 4, data: {}, timestamp: Date.now() });
+      SpectraView.handleRRWebEvent({ type: 2, data: {}, timestamp: Date.now() });
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: Date.now() });
+      await SpectraView.flush();
+
+      expect(SpectraView.isBuffering).toBe(true);
+      expect(fetchMock.calls()).toHaveLength(0);
+      expect(SpectraView.eventBuffer.length).toBeGreaterThanOrEqual(3);
+    });
+
+    test('should keep a rolling window anchored on snapshots', async () => {
+      await SpectraView.init(config);
+      SpectraView.eventBuffer = [];
+      SpectraView.eventInfo = [];
+
+      const now = Date.now();
+      SpectraView.handleRRWebEvent({ type: 4, data: {}, timestamp: now - 300000 });
+      SpectraView.handleRRWebEvent({ type: 2, data: {}, timestamp: now - 300000 });
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: now - 200000 });
+      SpectraView.handleRRWebEvent({ type: 4, data: {}, timestamp: now - 90000 });
+      SpectraView.handleRRWebEvent({ type: 2, data: {}, timestamp: now - 90000 });
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: now - 30000 });
+      SpectraView.handleRRWebEvent({ type: 4, data: {}, timestamp: now });
+
+      expect(SpectraView.eventBuffer.map(e => e.timestamp)).toEqual([
+        now - 90000, now - 90000, now - 30000, now
+      ]);
+      expect(SpectraView.eventBuffer[0].type).toBe(4);
+    });
+
+    test('should trim the window when events are packed to strings', async () => {
+      // rrweb's real pack() returns a compressed string
+      rrweb.pack.mockImplementation(event => `packed:${event.type}:${event.timestamp}`);
+      try {
+        await SpectraView.init(config);
+        SpectraView.eventBuffer = [];
+        SpectraView.eventInfo = [];
+
+        const now = Date.now();
+        SpectraView.handleRRWebEvent({ type: 4, data: {}, timestamp: now - 300000 });
+        SpectraView.handleRRWebEvent({ type: 2, data: {}, timestamp: now - 300000 });
+        SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: now - 200000 });
+        SpectraView.handleRRWebEvent({ type: 4, data: {}, timestamp: now - 90000 });
+        SpectraView.handleRRWebEvent({ type: 2, data: {}, timestamp: now - 90000 });
+        SpectraView.handleRRWebEvent({ type: 4, data: {}, timestamp: now });
+
+        expect(SpectraView.eventBuffer).toEqual([
+          `packed:4:${now - 90000}`, `packed:2:${now - 90000}`, `packed:4:${now}`
+        ]);
+      } finally {
+        rrweb.pack.mockImplementation(event => event);
+      }
+    });
+
+    test('should flush the window when an error is captured', async () => {
+      await SpectraView.init(config);
+
+      SpectraView.handleRRWebEvent({ type: 4, data: {}, timestamp: Date.now() });
+      SpectraView.handleRRWebEvent({ type: 2, data: {}, timestamp: Date.now() });
+      SpectraView.captureError({ type: 'javascript_error', message: 'boom' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(SpectraView.isBuffering).toBe(false);
+      expect(fetchMock.called('http://api.test.com/api/sessions/start')).toBe(true);
+      expect(eventsCalls()).toHaveLength(1);
+
+      const body = JSON.parse(eventsCalls()[0][1].body);
+      expect(body.errors).toHaveLength(1);
+      expect(body.metadata.eventCount).toBeGreaterThanOrEqual(2);
+    });
+
+    test('should flush on a configured custom event', async () => {
+      await SpectraView.init(config);
+
+      SpectraView.capture('payment_failed', { code: 'DECLINED' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(SpectraView.isBuffering).toBe(false);
+      expect(eventsCalls()).toHaveLength(1);
+    });
+
+    test('should flush on manual trigger and continue in normal mode', async () => {
+      await SpectraView.init({ ...config, batchSize: 2 });
+
+      SpectraView.triggerUpload();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const callsAfterTrigger = eventsCalls().length;
+
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: Date.now() });
+      SpectraView.handleRRWebEvent({ type: 3, data: {}, timestamp: Date.now() });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(callsAfterTrigger).toBe(1);
+      expect(eventsCalls()).toHaveLength(2);
+    });
+  });
+
+  describe('Sampling and Targeting', () => {
+    let randomSpy;
+
+    const baseConfig = {
+      apiKey: 'test-key',
+      apiBaseUrl: null,
+      appId: 'test-app'
+    };
+
+    afterEach(() => {
+      randomSpy?.mockRestore();
+      localStorage.removeItem('spectraview_session_test-app');
+    });
+
+    test('should not record sessions outside the sample rate', async () => {
+      randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.9);
+
+      await SpectraView.init({ ...baseConfig, sessionSampleRate: 0.5 });
+
+      expect(SpectraView.isRecording).toBe(false);
+      expect(rrweb.record).not.toHaveBeenCalled();
+      expect(SpectraView.sessionState.recording).toMatchObject({
+        decision: 'none',
+        reason: 'sample',
+        sampleRate: 0.5
+      });
+    });
+
+    test('should keep the decision for the whole session', async () => {
+      randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.9);
+      await SpectraView.init({ ...baseConfig, sessionSampleRate: 0.5 });
+      const sessionId = SpectraView.sessionId;
+
+      // Reload: the roll would now pass, but the session already decided
+      randomSpy.mockReturnValue(0.1);
+      await SpectraView.init({ ...baseConfig, sessionSampleRate: 0.5 });
+
+      expect(SpectraView.sessionId).toBe(sessionId);
+      expect(SpectraView.isRecording).toBe(false);
+    });
+
+    test('should record analytics-only sessions without DOM replay', async () => {
+      await SpectraView.init({
+        ...baseConfig,
+        targetingRules: [{ name: 'kiosk', urlPattern: 'http://localhost:3000/*', recording: 'analytics' }]
+      });
+
+      expect(SpectraView.isRecording).toBe(true);
+      expect(rrweb.record).not.toHaveBeenCalled();
+
+      SpectraView.capture('checkout', {});
+      expect(SpectraView.customEventBuffer.some(e => e.eventType === 'checkout')).toBe(true);
+      expect(SpectraView.sessionState.recording).toMatchObject({ decision: 'analytics', rule: 'kiosk' });
+    });
+
+    test('should match rules by user id allowlist and traits', async () => {
+      SpectraView.setUser('vip-1', { plan: 'premium' });
+
+      await SpectraView.init({
+        ...baseConfig,
+        sessionSampleRate: 0,
+        targetingRules: [
+          { userIds: ['someone-else'], recording: 'full' },
+          { userIds: ['vip-1'], traits: { plan: ['premium', 'enterprise'] }, recording: 'full' }
+        ]
+      });
+
+      expect(SpectraView.sessionState.recording).toMatchObject({ decision: 'full', rule: 1 });
+      expect(rrweb.record).toHaveBeenCalled();
+    });
+
+    test('should fall through to the next rule when sampled out', async () => {
+      randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      await SpectraView.init({
+        ...baseConfig,
+        targetingRules: [
+          { appId: ['test-app'], sampleRate: 0.1, recording: 'full' },
+          { appId: 'test-app', recording: 'analytics' }
+        ]
+      });
+
+      expect(SpectraView.sessionState.recording).toMatchObject({ decision: 'analytics', rule: 1 });
+    });
+
+    test('should decide again when a sampled-out session expires', async () => {
+      randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.9);
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, apiBaseUrl: 'http://api.test.com', sessionSampleRate: 0.5, maxSessionDuration: 1000 });
+      const startTime = SpectraView.sessionState.startTime - 5000;
+      SpectraView.sessionState.startTime = startTime;
+      randomSpy.mockClear();
+
+      SpectraView.setUser('user-1');
+
+      // A new session with a new roll (ids come from the mocked Math.random too)
+      expect(SpectraView.sessionState.startTime).toBeGreaterThan(startTime);
+      expect(randomSpy).toHaveBeenCalled();
+      expect(SpectraView.sessionState).toMatchObject({ uploading: false, recording: { decision: 'none' } });
+      expect(fetchMock.called('http://api.test.com/api/sessions/start')).toBe(false);
+    });
+
+    test('should stop uploading when the next session samples out', async () => {
+      randomSpy = jest.spyOn(Math, 'random').mockReturnValue(0.1);
+      fetchMock.post(/.*/, { success: true });
+      await SpectraView.init({ ...baseConfig, apiBaseUrl: 'http://api.test.com', sessionSampleRate: 0.5, maxSessionDuration: 1000 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      SpectraView.sessionState.startTime -= 5000;
+      randomSpy.mockReturnValue(0.9);
+      fetchMock.resetHistory();
+
+      SpectraView.capture('after_rollover', {});
+      SpectraView.captureError({ message: 'boom' });
+      await SpectraView.flush();
+
+      const newSession = SpectraView.sessionId;
+      expect(SpectraView.sessionState.recording.decision).toBe('none');
+      expect(fetchMock.calls().some(([url]) => url.includes(newSession))).toBe(false);
+      expect(fetchMock.called('http://api.test.com/api/sessions/start')).toBe(false);
+    });
+
+    test('should report the decision in session start metadata', async () => {
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({ ...baseConfig, apiBaseUrl: 'http://api.test.com' });
+
+      const body = JSON.parse(fetchMock.lastCall('http://api.test.com/api/sessions/start')[1].body);
+      expect(body.metadata.recording).toEqual({ decision: 'full', reason: 'sample', sampleRate: 1 });
+    });
+  });
+
+  describe('Event Processors', () => {
+    const removers = [];
+
+    const init = (config = {}) => SpectraView.init({
+      apiKey: 'test-key',
+      apiBaseUrl: null,
+      appId: 'test-app',
+      ...config
+    });
+
+    afterEach(() => {
+      removers.splice(0).forEach(remove => remove());
+    });
+
+    test('should enrich custom events', async () => {
+      await init();
+      removers.push(SpectraView.addEventProcessor(event => ({
+        ...event,
+        data: { ...event.data, storeId: 'store-42' }
+      })));
+
+      SpectraView.capture('sale', { total: 10 });
+
+      expect(SpectraView.customEventBuffer.pop().data).toEqual({ total: 10, storeId: 'store-42' });
+    });
+
+    test('should drop events when a processor returns null', async () => {
+      await init();
+      removers.push(SpectraView.addEventProcessor(event => (
+        event.eventType === 'noise' ? null : event
+      )));
+
+      SpectraView.capture('noise', {});
+      SpectraView.capture('signal', {});
+
+      const types = SpectraView.customEventBuffer.map(e => e.eventType);
+      expect(types).toContain('signal');
+      expect(types).not.toContain('noise');
+    });
+
+    test('should run processors before the beforeSendCustomEvent hook', async () => {
+      const beforeSendCustomEvent = jest.fn(event => ({ ...event, hooked: true }));
+      await init({ beforeSendCustomEvent });
+      removers.push(SpectraView.addEventProcessor((event, hint) => ({ ...event, kind: hint.kind })));
+
+      SpectraView.capture('ordered', {});
+
+      expect(beforeSendCustomEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ eventType: 'ordered', kind: 'custom' }),
+        { kind: 'custom' }
+      );
+      expect(SpectraView.customEventBuffer.pop()).toMatchObject({ kind: 'custom', hooked: true });
+    });
+
+    test('should support async processors', async () => {
+      await init();
+      removers.push(SpectraView.addEventProcessor(async event => ({ ...event, resolved: true })));
+
+      SpectraView.capture('async_event', {});
+      expect(SpectraView.customEventBuffer.some(e => e.eventType === 'async_event')).toBe(false);
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(SpectraView.customEventBuffer.find(e => e.eventType === 'async_event')).toMatchObject({
+        resolved: true
+      });
+    });
+
+    test('should not let a slow processor block the event', async () => {
+      await init({ processorTimeout: 20 });
+      removers.push(SpectraView.addEventProcessor(() => new Promise(() => {})));
+
+      SpectraView.capture('slow_event', {});
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(SpectraView.customEventBuffer.some(e => e.eventType === 'slow_event')).toBe(true);
+    });
+
+    test('should rewrite errors with beforeSendError', async () => {
+      await init({
+        beforeSendError: error => ({ ...error, stack: '[REDACTED]' })
+      });
+
+      SpectraView.captureError({ type: 'javascript_error', message: 'boom', stack: 'at secret.js:1' });
+
+      expect(SpectraView.errorBuffer.pop().stack).toBe('[REDACTED]');
+    });
+
+    test('should rewrite batches with beforeSendBatch', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await init({
+        apiBaseUrl: 'http://api.test.com',
+        beforeSendBatch: async batch => ({
+          ...batch,
+          customEvents: batch.customEvents.filter(e => e.eventType !== 'private')
+        })
+      });
+
+      SpectraView.customEventBuffer = [];
+      SpectraView.capture('private', {});
+      SpectraView.capture('public', {});
+      await SpectraView.flush();
+
+      const body = JSON.parse(fetchMock.lastCall(/\/events$/)[1].body);
+      expect(body.customEvents.map(e => e.eventType)).toEqual(['public']);
+    });
+
+    test('should drop a batch when beforeSendBatch returns null', async () => {
+      fetchMock.post(/.*/, { success: true });
+      await init({
+        apiBaseUrl: 'http://api.test.com',
+        beforeSendBatch: () => null
+      });
+
+      SpectraView.capture('dropped', {});
+      await SpectraView.flush();
+
+      expect(fetchMock.called(/\/events$/)).toBe(false);
+    });
+
+    test('should stop running a processor once removed', async () => {
+      await init();
+      const processor = jest.fn(event => event);
+      const remove = SpectraView.addEventProcessor(processor);
+
+      remove();
+      SpectraView.capture('after_remove', {});
+
+      expect(processor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Remote Config', () => {
+    const configUrl = 'http://api.test.com/api/apps/test-app/config';
+    const cacheKey = 'spectraview_remote_config_test-app';
+
+    const baseConfig = {
+      apiKey: 'test-key',
+      apiBaseUrl: 'http://api.test.com',
+      appId: 'test-app',
+      remoteConfig: true
+    };
+
+    afterEach(() => {
+      localStorage.removeItem(cacheKey);
+    });
+
+    test('should merge remote settings over local config and cache them', async () => {
+      fetchMock.get(configUrl, {
+        body: { batchSize: 5, captureConsole: false, apiKey: 'remote-key' },
+        headers: { ETag: '"v1"' }
+      });
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({ ...baseConfig, batchSize: 20, captureConsole: true });
+
+      expect(SpectraView.isRecording).toBe(true);
+      expect(SpectraView.config.batchSize).toBe(5);
+      expect(SpectraView.config.captureConsole).toBe(false);
+      expect(SpectraView.config.apiKey).toBe('test-key');
+      expect(JSON.parse(localStorage.getItem(cacheKey))).toMatchObject({
+        settings: { batchSize: 5 },
+        etag: '"v1"'
+      });
+    });
+
+    test('should not record when the kill switch is on', async () => {
+      fetchMock.get(configUrl, { enabled: false });
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init(baseConfig);
+
+      expect(SpectraView.isRecording).toBe(false);
+      expect(fetchMock.called('http://api.test.com/api/sessions/start')).toBe(false);
+    });
+
+    test('should use a fresh cached config without fetching', async () => {
+      localStorage.setItem(cacheKey, JSON.stringify({
+        settings: { batchSize: 7 },
+        etag: '"v1"',
+        fetchedAt: Date.now()
+      }));
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init(baseConfig);
+
+      expect(fetchMock.called(configUrl)).toBe(false);
+      expect(SpectraView.config.batchSize).toBe(7);
+    });
+
+    test('should revalidate a stale cache with its ETag', async () => {
+      localStorage.setItem(cacheKey, JSON.stringify({
+        settings: { batchSize: 7 },
+        etag: '"v1"',
+        fetchedAt: Date.now() - 60 * 60 * 1000
+      }));
+      fetchMock.get(configUrl, 304);
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init(baseConfig);
+
+      expect(fetchMock.lastCall(configUrl)[1].headers['If-None-Match']).toBe('"v1"');
+      expect(SpectraView.config.batchSize).toBe(7);
+      expect(JSON.parse(localStorage.getItem(cacheKey)).fetchedAt).toBeGreaterThan(Date.now() - 1000);
+    });
+
+    test('should fall back to the cached config when the endpoint is unreachable', async () => {
+      localStorage.setItem(cacheKey, JSON.stringify({
+        settings: { enabled: false },
+        fetchedAt: Date.now() - 60 * 60 * 1000
+      }));
+      fetchMock.get(configUrl, { throws: new Error('Network error') });
+
+      await SpectraView.init(baseConfig);
+
+      expect(SpectraView.isRecording).toBe(false);
+    });
+
+    test('should fall back to local config without a cache', async () => {
+      fetchMock.get(configUrl, 500);
+      fetchMock.post(/.*/, { success: true });
+
+      await SpectraView.init({ ...baseConfig, batchSize: 20 });
+
+      expect(SpectraView.isRecording).toBe(true);
+      expect(SpectraView.config.batchSize).toBe(20);
+    });
+  });
+
+  describe('Capture Modes', () => {
+    test('should record full DOM replay by default', async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app'
+      });
+
+      expect(SpectraView.config.captureMode).toBe('full');
+      expect(rrweb.record).toHaveBeenCalledWith(expect.objectContaining({
+        recordCanvas: true,
+        collectFonts: true,
+        inlineStylesheet: true,
+        maskTextSelector: '[data-spectra-mask], .spectra-mask' // Marked elements only
+      }));
+    });
+
+    test('should mask all text and skip console capture in privacy mode', async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        captureMode: 'privacy'
+      });
 
-      const sanitized = SpectraView.sanitizeData(data);
+      expect(rrweb.record).toHaveBeenCalledWith(expect.objectContaining({
+        maskAllInputs: true,
+        maskTextSelector: '*',
+        recordCanvas: false,
+        collectFonts: false
+      }));
+      expect(rrweb.record.mock.calls[0][0]).not.toHaveProperty('maskTextContent');
+      expect(SpectraView.config.captureConsole).toBe(false);
+      expect(SpectraView.config.captureClickText).toBe(false);
+    });
 
-      expect(sanitized.email).toBe('[EMAIL]');
-      expect(sanitized.phone).toBe('[PHONE]');
-      expect(sanitized.ssn).toBe('[SSN]');
-      expect(sanitized.card).toBe('[CARD]');
-      expect(sanitized.safe).toBe('This is safe text');
+    test('should not start DOM replay in minimal mode', async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        captureMode: 'minimal'
+      });
+
+      expect(rrweb.record).not.toHaveBeenCalled();
+      expect(SpectraView.isRecording).toBe(true);
+      expect(SpectraView.config.captureClicks).toBe(true);
+      expect(SpectraView.config.captureNavigation).toBe(true);
+      expect(SpectraView.config.captureNetwork).toBe(false);
     });
 
-    test('should respect privacy configuration', async () => {
-      SpectraView.stop();
-      
+    test('should let explicit options override the preset', async () => {
       await SpectraView.init({
         apiKey: 'test-key',
         apiBaseUrl: null,
         appId: 'test-app',
-        maskAllInputs: true,
-        blockClass: 'block-me',
-        ignoreClass: 'ignore-me'
+        captureMode: 'privacy',
+        recordCanvas: true,
+        maskTextContent: false
       });
 
-      expect(SpectraView.config.maskAllInputs).toBe(true);
-      expect(SpectraView.config.blockClass).toBe('block-me');
-      expect(SpectraView.config.ignoreClass).toBe('ignore-me');
+      expect(rrweb.record).toHaveBeenCalledWith(expect.objectContaining({
+        recordCanvas: true,
+        maskTextSelector: '[data-spectra-mask], .spectra-mask',
+        collectFonts: false
+      }));
+    });
+
+    test('should fall back to full mode for unknown modes', async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app',
+        captureMode: 'everything'
+      });
+
+      expect(SpectraView.config.captureMode).toBe('full');
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Unknown captureMode')
+      );
     });
   });
 
@@ -554,5 +3222,225 @@ describe('SpectraView SDK', () => {
 
       clearIntervalSpy.mockRestore();
     });
+
+    test('should restore patched globals and remove listeners on stop', async () => {
+      const originalFetch = window.fetch;
+      const originalOpen = XMLHttpRequest.prototype.open;
+      const originalSend = XMLHttpRequest.prototype.send;
+      const originalPushState = history.pushState;
+      const originalReplaceState = history.replaceState;
+      const originalWarn = console.warn;
+
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app'
+      });
+
+      expect(window.fetch).not.toBe(originalFetch);
+      expect(history.pushState).not.toBe(originalPushState);
+
+      SpectraView.stop();
+
+      expect(window.fetch).toBe(originalFetch);
+      expect(XMLHttpRequest.prototype.open).toBe(originalOpen);
+      expect(XMLHttpRequest.prototype.send).toBe(originalSend);
+      expect(history.pushState).toBe(originalPushState);
+      expect(history.replaceState).toBe(originalReplaceState);
+      expect(console.warn).toBe(originalWarn);
+      expect(SpectraView.listeners).toHaveLength(0);
+
+      const clickCount = SpectraView.performanceData.clickCount;
+      document.body.click();
+      expect(SpectraView.performanceData.clickCount).toBe(clickCount);
+    });
+
+    test('should not stack patches across init and stop cycles', async () => {
+      const originalPushState = history.pushState;
+
+      for (let i = 0; i < 3; i++) {
+        await SpectraView.init({
+          apiKey: 'test-key',
+          apiBaseUrl: null,
+          appId: 'test-app'
+        });
+        SpectraView.stop();
+      }
+
+      expect(history.pushState).toBe(originalPushState);
+    });
+  });
+
+  describe('Pause and Resume', () => {
+    beforeEach(async () => {
+      await SpectraView.init({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        appId: 'test-app'
+      });
+    });
+
+    test('should suspend capture without ending the session', () => {
+      const sessionId = SpectraView.sessionId;
+      const stopFn = rrweb.record.mock.results[0].value;
+
+      SpectraView.pause();
+
+      expect(SpectraView.isPaused).toBe(true);
+      expect(SpectraView.isRecording).toBe(true);
+      expect(SpectraView.sessionId).toBe(sessionId);
+      expect(stopFn).toHaveBeenCalled();
+
+      const clickCount = SpectraView.performanceData.clickCount;
+      document.body.click();
+      history.pushState({}, '', '/secret-pin');
+
+      expect(SpectraView.performanceData.clickCount).toBe(clickCount);
+      expect(SpectraView.customEventBuffer.some(e => e.data?.url === '/secret-pin')).toBe(false);
+    });
+
+    test('should emit replay markers around the gap', () => {
+      SpectraView.pause();
+      SpectraView.resume();
+
+      const markers = SpectraView.eventBuffer
+        .filter(e => e.type === rrweb.EventType.Custom)
+        .map(e => e.data.tag);
+
+      expect(markers).toEqual(['spectraview:pause', 'spectraview:resume']);
+      expect(rrweb.record).toHaveBeenCalledTimes(2);
+      expect(SpectraView.customEventBuffer.map(e => e.eventType)).toEqual(
+        expect.arrayContaining(['recording_paused', 'recording_resumed'])
+      );
+    });
+
+    test('should capture again after resume', () => {
+      SpectraView.pause();
+      SpectraView.resume();
+
+      const clickCount = SpectraView.performanceData.clickCount;
+      document.body.click();
+
+      expect(SpectraView.isPaused).toBe(false);
+      expect(SpectraView.performanceData.clickCount).toBe(clickCount + 1);
+    });
+  });
+
+  describe('Multiple Clients', () => {
+    const clients = [];
+
+    const createClient = async (config) => {
+      const client = SpectraView.createClient({
+        apiKey: 'test-key',
+        apiBaseUrl: null,
+        ...config
+      });
+      clients.push(client);
+      await client.ready;
+      return client;
+    };
+
+    afterEach(() => {
+      clients.splice(0).forEach(client => client.stop());
+    });
+
+    test('should create isolated instances', async () => {
+      const host = await createClient({ appId: 'host-app' });
+      const widget = await createClient({ appId: 'widget-app', apiBaseUrl: 'http://widget.test.com' });
+
+      expect(host).not.toBe(widget);
+      expect(host).not.toBe(SpectraView);
+      expect(host.sessionId).not.toBe(widget.sessionId);
+      expect(widget.getApiEndpoint()).toBe('http://widget.test.com/api');
+
+      host.capture('host_only', {});
+
+      expect(host.customEventBuffer.some(e => e.eventType === 'host_only')).toBe(true);
+      expect(widget.customEventBuffer.some(e => e.eventType === 'host_only')).toBe(false);
+    });
+
+    test('should use a separate storage namespace per client', async () => {
+      const localforage = require('localforage');
+
+      await createClient({ appId: 'host-app' });
+      await createClient({ appId: 'widget-app', storageNamespace: 'widget-store' });
+
+      const names = localforage.createInstance.mock.calls.map(call => call[0].name);
+      expect(names).toEqual(expect.arrayContaining(['spectraview_host-app', 'widget-store']));
+    });
+
+    test('should share one set of global patches and fan events out', async () => {
+      const originalPushState = history.pushState;
+
+      const host = await createClient({ appId: 'host-app' });
+      const patchedPushState = history.pushState;
+      const widget = await createClient({ appId: 'widget-app' });
+
+      expect(history.pushState).toBe(patchedPushState);
+      expect(rrweb.record).toHaveBeenCalledTimes(1);
+
+      history.pushState({}, '', '/shared-page');
+
+      [host, widget].forEach(client => {
+        expect(client.customEventBuffer.some(e => e.data?.url === '/shared-page')).toBe(true);
+      });
+
+      host.stop();
+      expect(history.pushState).toBe(patchedPushState);
+
+      widget.stop();
+      expect(history.pushState).toBe(originalPushState);
+    });
+
+    test('should fan out rrweb events to every recording client', async () => {
+      const host = await createClient({ appId: 'host-app' });
+      const widget = await createClient({ appId: 'widget-app' });
+
+      const { emit } = rrweb.record.mock.calls[0][0];
+      emit({ type: 3, data: {}, timestamp: Date.now() });
+
+      expect(host.eventBuffer.some(e => e.type === 3)).toBe(true);
+      expect(widget.eventBuffer.some(e => e.type === 3)).toBe(true);
+    });
+
+    test('should restart the shared recording when a client blocks more', async () => {
+      await createClient({ appId: 'host-app' });
+      const firstStop = rrweb.record.mock.results[0].value;
+
+      await createClient({ appId: 'widget-app', blockSelector: '#card-form' });
+      await createClient({ appId: 'other-app' });
+
+      expect(rrweb.record).toHaveBeenCalledTimes(2);
+      expect(firstStop).toHaveBeenCalled();
+      expect(rrweb.record.mock.calls[1][0].blockSelector).toBe(
+        '[data-spectra-block], .spectra-block, [data-spectra-block], .spectra-block, #card-form'
+      );
+    });
+
+    test('should record with the most restrictive options of all clients', async () => {
+      await createClient({ appId: 'host-app', captureMode: 'full', maskAllInputs: false });
+      await createClient({ appId: 'widget-app', captureMode: 'privacy' });
+
+      expect(rrweb.record).toHaveBeenCalledTimes(2);
+      expect(rrweb.record.mock.calls[1][0]).toMatchObject({
+        maskAllInputs: true,
+        recordCanvas: false,
+        collectFonts: false,
+        maskTextSelector: '*',
+        sampling: { scroll: 300, input: 'last', mousemove: false }
+      });
+    });
+
+    test('should apply each client\'s own replay redaction', async () => {
+      const host = await createClient({ appId: 'host-app' });
+      const widget = await createClient({ appId: 'widget-app', redactReplay: true });
+
+      const { emit } = rrweb.record.mock.calls[0][0];
+      emit({ type: 3, data: { source: 5, id: 1, text: 'jane@example.com' }, timestamp: Date.now() });
+
+      const inputText = client => client.eventBuffer.find(e => e.data.source === 5).data.text;
+      expect(inputText(host)).toBe('jane@example.com');
+      expect(inputText(widget)).toBe('[EMAIL]');
+    });
   });
 });
\ No newline at end of file
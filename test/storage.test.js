@@ -0,0 +1,326 @@
+import { EventStore, isQuotaExceeded } from '../src/storage';
+
+describe('EventStore', () => {
+  let storage;
+
+  const createMemoryStore = () => {
+    const data = new Map();
+    return {
+      data,
+      setItem: jest.fn(async (key, value) => data.set(key, value)),
+      getItem: jest.fn(async key => (data.has(key) ? data.get(key) : null)),
+      removeItem: jest.fn(async key => data.delete(key)),
+      keys: jest.fn(async () => [...data.keys()]),
+      clear: jest.fn(async () => data.clear())
+    };
+  };
+
+  const quotaError = () => Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+
+  const createStore = (options = {}) => new EventStore({ storage, writerId: 'w1', ...options });
+
+  const chunkKeys = () => [...storage.data.keys()].filter(key => key.startsWith('chunk_'));
+
+  beforeEach(() => {
+    storage = createMemoryStore();
+  });
+
+  test('should append events to one chunk per write', async () => {
+    const store = createStore();
+    await store.open();
+
+    for (let i = 0; i < 10; i++) {
+      store.append('s1', { type: 3, i });
+    }
+    await store.flush();
+
+    expect(storage.setItem).toHaveBeenCalledTimes(2); // The chunk and the index
+    expect(storage.data.get('chunk_w1_0').events).toHaveLength(10);
+    expect(storage.data.get('log_w1').chunks).toEqual([
+      expect.objectContaining({ key: 'chunk_w1_0', sessionId: 's1', count: 10, synced: false })
+    ]);
+    expect(store.getStats()).toMatchObject({ chunks: 1, count: 10 });
+  });
+
+  test('should write appended events after a short delay', async () => {
+    jest.useFakeTimers();
+    try {
+      const store = createStore();
+      store.append('s1', { type: 3 });
+      store.append('s1', { type: 3 });
+
+      expect(storage.setItem).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      await store.queue;
+
+      expect(storage.data.get('chunk_w1_0').events).toHaveLength(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should start a new chunk per session and when one is full', async () => {
+    const store = createStore();
+
+    for (let i = 0; i < 150; i++) {
+      store.append('s1', { i });
+    }
+    store.append('s2', { i: 0 });
+    await store.flush();
+
+    expect(storage.data.get('log_w1').chunks.map(entry => [entry.sessionId, entry.count])).toEqual([
+      ['s1', 100],
+      ['s1', 50],
+      ['s2', 1]
+    ]);
+  });
+
+  test('should delete chunks once they are synced', async () => {
+    const store = createStore();
+    store.append('s1', { i: 0 });
+    await store.flush();
+
+    const sealed = store.seal();
+    store.append('s1', { i: 1 });
+
+    expect(sealed).toEqual(['chunk_w1_0']);
+
+    await store.markSynced(sealed);
+    expect(storage.data.get('log_w1').chunks[0].synced).toBe(true);
+
+    await store.clearSynced();
+    await store.flush();
+
+    expect(chunkKeys()).toEqual(['chunk_w1_1']);
+    expect(store.getStats()).toMatchObject({ chunks: 1, count: 1 });
+  });
+
+  test('should skip writing chunks synced before their write', async () => {
+    const store = createStore();
+    store.append('s1', { i: 0 });
+
+    await store.markSynced(store.seal());
+    await store.clearSynced();
+    await store.flush();
+
+    expect(chunkKeys()).toHaveLength(0);
+    expect(storage.data.has('log_w1')).toBe(false);
+  });
+
+  test('should clean up records left by other page loads on open', async () => {
+    const hourAgo = Date.now() - 60 * 60 * 1000;
+    storage.data.set('event_1_0.5', { event: {}, synced: false });
+    storage.data.set('chunk_old_0', { events: [] });
+    storage.data.set('chunk_old_1', { events: [] });
+    storage.data.set('chunk_old_2', { events: [] });
+    storage.data.set('chunk_orphan_0', { events: [] });
+    storage.data.set('log_old', {
+      writerId: 'old',
+      updatedAt: hourAgo,
+      chunks: [
+        { key: 'chunk_old_0', count: 5, bytes: 50, updatedAt: hourAgo, synced: true },
+        { key: 'chunk_old_1', count: 5, bytes: 50, updatedAt: hourAgo - 2 * 24 * 60 * 60 * 1000, synced: false },
+        { key: 'chunk_old_2', count: 5, bytes: 50, updatedAt: hourAgo, synced: false }
+      ]
+    });
+
+    const store = createStore();
+    await store.open();
+
+    expect([...storage.data.keys()].sort()).toEqual(['chunk_old_2', 'log_old']);
+    expect(storage.data.get('log_old').chunks.map(entry => entry.key)).toEqual(['chunk_old_2']);
+    expect(store.getStats()).toEqual({ chunks: 0, count: 5, bytes: 50 });
+  });
+
+  test('should clear the store after the writes already queued', async () => {
+    const store = createStore();
+    store.append('s1', { type: 3 });
+    const write = store.flush();
+
+    await store.clear();
+    await write;
+
+    expect([...storage.data.keys()]).toEqual([]);
+    expect(store.getStats()).toEqual({ chunks: 0, count: 0, bytes: 0 });
+  });
+
+  test('should evict the oldest chunks over maxEvents', async () => {
+    const store = createStore({ maxEvents: 150 });
+
+    for (let i = 0; i < 250; i++) {
+      store.append('s1', { i });
+    }
+    await store.flush();
+
+    expect(chunkKeys()).toEqual(['chunk_w1_1', 'chunk_w1_2']);
+    expect(store.getStats().count).toBe(150);
+  });
+
+  test('should evict the oldest chunks over maxBytes', async () => {
+    const store = createStore({ maxBytes: 1000 });
+
+    store.append('s1', { data: 'x'.repeat(800) });
+    store.seal();
+    store.append('s1', { data: 'y'.repeat(800) });
+    await store.flush();
+
+    expect(chunkKeys()).toEqual(['chunk_w1_1']);
+  });
+
+  test('should count chunk sizes in UTF-8 bytes', async () => {
+    const store = createStore();
+    store.append('s1', { text: 'ñ😀' });
+
+    // 14 UTF-16 code units, but 'ñ' takes 2 bytes and the emoji 4
+    expect(store.getStats().bytes).toBe(17);
+    await store.flush();
+  });
+
+  test('should make room and retry when the quota is exceeded', async () => {
+    const store = createStore();
+    store.append('s1', { i: 0 });
+    store.seal();
+    store.append('s1', { i: 1 });
+    await store.flush();
+
+    store.append('s1', { i: 2 });
+    storage.setItem.mockImplementationOnce(async () => {
+      throw quotaError();
+    });
+    await store.flush();
+
+    expect(chunkKeys()).toEqual(['chunk_w1_1']);
+    expect(storage.data.get('chunk_w1_1').events).toEqual([{ i: 1 }, { i: 2 }]);
+  });
+
+  test('should drop events it has no room for without throwing', async () => {
+    const store = createStore();
+    storage.setItem.mockImplementation(async () => {
+      throw quotaError();
+    });
+
+    store.append('s1', { i: 0 });
+    await expect(store.flush()).resolves.toBeUndefined();
+
+    expect(store.getStats()).toMatchObject({ chunks: 0, count: 0 });
+  });
+
+  test('should free space for other records', async () => {
+    const store = createStore();
+    store.append('s1', { data: 'x'.repeat(100) });
+    store.seal();
+    store.append('s1', { data: 'y'.repeat(100) });
+    await store.flush();
+
+    const freed = await store.freeSpace(50);
+
+    expect(freed).toBeGreaterThanOrEqual(100);
+    expect(chunkKeys()).toEqual(['chunk_w1_1']);
+  });
+
+  describe('Recovery', () => {
+    const seedLog = (writerId, updatedAt, chunks) => {
+      chunks.forEach(({ key, events }) => storage.data.set(key, { sessionId: 's0', events }));
+      storage.data.set(`log_${writerId}`, {
+        writerId,
+        updatedAt,
+        chunks: chunks.map(({ key, events }) => ({
+          key, sessionId: 's0', count: events.length, bytes: 10, createdAt: updatedAt, updatedAt, synced: false
+        }))
+      });
+    };
+
+    afterEach(() => {
+      delete navigator.locks;
+    });
+
+    test('should hold a lock named after its writer', async () => {
+      navigator.locks = { request: jest.fn(() => new Promise(() => {})) };
+
+      await createStore().open();
+
+      expect(navigator.locks.request).toHaveBeenCalledWith('spectraview_writer_w1', expect.any(Function));
+    });
+
+    test('should only return chunks of writers that no longer hold their lock', async () => {
+      seedLog('gone', Date.now(), [{ key: 'chunk_gone_0', events: [{ i: 0 }] }]);
+      seedLog('live', Date.now(), [{ key: 'chunk_live_0', events: [{ i: 1 }] }]);
+      navigator.locks = {
+        request: jest.fn(() => new Promise(() => {})),
+        query: jest.fn(async () => ({ held: [{ name: 'spectraview_writer_live' }, { name: 'other' }] }))
+      };
+
+      const store = createStore();
+      await store.open();
+      const abandoned = await store.getAbandoned(60000);
+
+      expect(abandoned.map(entry => entry.key)).toEqual(['chunk_gone_0']);
+      expect(await store.readChunk('chunk_gone_0')).toEqual([{ i: 0 }]);
+    });
+
+    test('should leave the records of live writers alone on open', async () => {
+      seedLog('live', Date.now() - 60 * 60 * 1000, [{ key: 'chunk_live_0', events: [{ i: 0 }] }]);
+      storage.data.get('log_live').chunks[0].synced = true;
+      storage.data.set('chunk_live_1', { sessionId: 's0', events: [{ i: 1 }] }); // Written, log not yet
+      storage.data.set('chunk_gone_0', { sessionId: 's0', events: [], updatedAt: Date.now() });
+      storage.data.set('chunk_gone_1', { sessionId: 's0', events: [], updatedAt: Date.now() - 60000 });
+      navigator.locks = {
+        request: jest.fn(() => new Promise(() => {})),
+        query: jest.fn(async () => ({ held: [{ name: 'spectraview_writer_live' }] }))
+      };
+
+      await createStore().open();
+
+      expect(storage.data.get('log_live').chunks).toHaveLength(1);
+      expect(chunkKeys().sort()).toEqual(['chunk_gone_0', 'chunk_live_0', 'chunk_live_1']);
+    });
+
+    test('should leave the records of recent writers alone without Web Locks', async () => {
+      seedLog('recent', Date.now(), [{ key: 'chunk_recent_0', events: [{ i: 0 }] }]);
+      storage.data.get('log_recent').chunks[0].synced = true;
+
+      const store = createStore({ staleAfter: 60000 });
+      await store.open();
+
+      expect(storage.data.get('log_recent').chunks).toHaveLength(1);
+      expect(chunkKeys()).toEqual(['chunk_recent_0']);
+    });
+
+    test('should wait for a writer to go stale without Web Locks', async () => {
+      seedLog('stale', Date.now() - 120000, [{ key: 'chunk_stale_0', events: [{ i: 0 }] }]);
+      seedLog('recent', Date.now(), [{ key: 'chunk_recent_0', events: [{ i: 1 }] }]);
+
+      const store = createStore();
+      await store.open();
+      const abandoned = await store.getAbandoned(60000);
+
+      expect(abandoned.map(entry => entry.key)).toEqual(['chunk_stale_0']);
+    });
+
+    test('should delete recovered chunks and their empty index', async () => {
+      seedLog('gone', Date.now(), [
+        { key: 'chunk_gone_0', events: [{ i: 0 }] },
+        { key: 'chunk_gone_1', events: [{ i: 1 }] }
+      ]);
+
+      const store = createStore();
+      await store.open();
+
+      await store.removeForeign(['chunk_gone_0']);
+      expect(storage.data.get('log_gone').chunks.map(entry => entry.key)).toEqual(['chunk_gone_1']);
+      expect(store.getStats().count).toBe(1);
+
+      await store.removeForeign(['chunk_gone_1']);
+      expect([...storage.data.keys()]).toEqual([]);
+      expect(store.getStats().count).toBe(0);
+    });
+  });
+
+  test('should recognize quota errors', () => {
+    expect(isQuotaExceeded(quotaError())).toBe(true);
+    expect(isQuotaExceeded({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+    expect(isQuotaExceeded({ code: 22 })).toBe(true);
+    expect(isQuotaExceeded(new Error('Network down'))).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+import fetchMock from 'fetch-mock-jest';
+import {
+  createFetchTransport,
+  createBeaconTransport,
+  resolveTransport,
+  ERROR_TYPES
+} from '../src/transport';
+
+describe('Transports', () => {
+  const request = {
+    url: 'http://api.test.com/api/sessions/start',
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-key' },
+    body: JSON.stringify({ sessionId: 'test-session' }),
+    timeout: 1000
+  };
+
+  describe('fetch', () => {
+    test('should return status, headers and body on success', async () => {
+      fetchMock.post(request.url, { body: { success: true }, headers: { ETag: '"v1"' } });
+
+      const result = await createFetchTransport().send(request);
+
+      expect(result).toMatchObject({ ok: true, status: 200, errorType: null });
+      expect(result.headers.etag).toBe('"v1"');
+      expect(JSON.parse(result.body)).toEqual({ success: true });
+      expect(fetchMock.lastCall(request.url)[1]).toMatchObject({
+        method: 'POST',
+        headers: request.headers,
+        body: request.body
+      });
+    });
+
+    test('should classify server errors as retryable', async () => {
+      fetchMock.post(request.url, 503);
+
+      const result = await createFetchTransport().send(request);
+
+      expect(result).toMatchObject({ ok: false, status: 503, errorType: ERROR_TYPES.HTTP, retryable: true });
+    });
+
+    test('should classify client errors as not retryable', async () => {
+      fetchMock.post(request.url, 400);
+
+      const result = await createFetchTransport().send(request);
+
+      expect(result).toMatchObject({ ok: false, status: 400, errorType: ERROR_TYPES.HTTP, retryable: false });
+    });
+
+    test('should classify network failures', async () => {
+      fetchMock.post(request.url, { throws: new TypeError('Failed to fetch') });
+
+      const result = await createFetchTransport().send(request);
+
+      expect(result).toMatchObject({ ok: false, errorType: ERROR_TYPES.NETWORK, retryable: true });
+    });
+
+    test('should abort and classify requests that time out', async () => {
+      fetchMock.post(request.url, { success: true }, { delay: 500 });
+
+      const result = await createFetchTransport().send({ ...request, timeout: 10 });
+
+      expect(result).toMatchObject({ ok: false, errorType: ERROR_TYPES.TIMEOUT, retryable: true });
+    });
+
+    test('should set keepalive for the keepalive transport', async () => {
+      fetchMock.post(request.url, { success: true });
+
+      await createFetchTransport({ keepalive: true }).send(request);
+
+      expect(fetchMock.lastCall(request.url)[1].keepalive).toBe(true);
+    });
+  });
+
+  describe('beacon', () => {
+    afterEach(() => {
+      delete navigator.sendBeacon;
+    });
+
+    test('should queue the body as a blob', async () => {
+      navigator.sendBeacon = jest.fn(() => true);
+
+      const result = await createBeaconTransport().send(request);
+
+      expect(result.ok).toBe(true);
+      expect(navigator.sendBeacon).toHaveBeenCalledWith(request.url, expect.any(Blob));
+      expect(navigator.sendBeacon.mock.calls[0][1].type).toBe('application/json');
+    });
+
+    test('should report beacons the browser refused', async () => {
+      navigator.sendBeacon = jest.fn(() => false);
+
+      const result = await createBeaconTransport().send(request);
+
+      expect(result).toMatchObject({ ok: false, errorType: ERROR_TYPES.REJECTED, retryable: true });
+    });
+
+    test('should report when sendBeacon is unavailable', async () => {
+      const result = await createBeaconTransport().send(request);
+
+      expect(result).toMatchObject({ ok: false, errorType: ERROR_TYPES.UNSUPPORTED });
+    });
+  });
+
+  describe('resolveTransport', () => {
+    test('should resolve built-in transports by name', () => {
+      expect(resolveTransport('fetch').name).toBe('fetch');
+      expect(resolveTransport('keepalive').name).toBe('keepalive');
+      expect(resolveTransport('beacon').name).toBe('beacon');
+    });
+
+    test('should pass custom transports through', () => {
+      const custom = { send: jest.fn() };
+
+      expect(resolveTransport(custom)).toBe(custom);
+    });
+
+    test('should return null for unknown names', () => {
+      expect(resolveTransport('carrier-pigeon')).toBeNull();
+    });
+  });
+});